@@ -1,6 +1,28 @@
 import dotenv from 'dotenv';
 dotenv.config();
 
+// Numeric settings fall back to their default only when unset or empty. Anything else
+// must be in range, otherwise the server stops at startup naming the variable
+function envInteger(name, fallback, min, max = Number.MAX_SAFE_INTEGER) {
+  const raw = (process.env[name] || '').trim();
+  if (!raw) return fallback;
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new Error(`${name} must be an integer between ${min} and ${max}, got "${raw}"`);
+  }
+  return value;
+}
+
+function envRate(name, fallback) {
+  const raw = (process.env[name] || '').trim();
+  if (!raw) return fallback;
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value <= 0 || value > 1) {
+    throw new Error(`${name} must be above 0 and at most 1, got "${raw}"`);
+  }
+  return value;
+}
+
 export const CONFIG = {
   port: process.env.PORT || 3001,
   frontendUrl: process.env.FRONTEND_URL || 'http://localhost:5173',
@@ -8,6 +30,19 @@ export const CONFIG = {
   maxFileSize: 5 * 1024 * 1024, // 5MB
   backendUrl: process.env.BACKEND_URL || 'https://mail-back-nine.vercel.app',
   groqApiKey: process.env.GROQ_API_KEY, // For AI template generation
+  maxSendAttempts: envInteger('MAX_SEND_ATTEMPTS', 4, 1), // Including the first try
+  retryBaseDelayMs: envInteger('RETRY_BASE_DELAY_MS', 5 * 60 * 1000, 0), // Doubles on each retry
+  retryMaxDelayMs: 6 * 60 * 60 * 1000, // 6 hours
+  dnsServers: (process.env.DNS_SERVERS || '').split(',').map(s => s.trim()).filter(Boolean), // e.g. 127.0.0.1:5353; system resolvers when empty
+  dnsTimeoutMs: envInteger('DNS_TIMEOUT_MS', 5000, 1),
+  // Auto-pause thresholds, same ranges as the per-campaign overrides accepted on start
+  circuitBreaker: {
+    window: envInteger('BREAKER_WINDOW', 50, 1, 500), // Most recent send attempts that rates are computed over
+    minAttempts: envInteger('BREAKER_MIN_ATTEMPTS', 10, 1, 500), // Rates are ignored below this sample size
+    maxFailureRate: envRate('BREAKER_MAX_FAILURE_RATE', 0.5),
+    maxHardBounceRate: envRate('BREAKER_MAX_HARD_BOUNCE_RATE', 0.1),
+    maxConsecutiveAuthErrors: envInteger('BREAKER_MAX_AUTH_ERRORS', 3, 1, 500),
+  },
 };
 
 export const SUPABASE_URL = process.env.SUPABASE_URL;
@@ -18,6 +53,33 @@ export const HMAC_SECRET = process.env.HMAC_SECRET || 'change-this-in-production
 export const UPSTASH_REDIS_URL = process.env.UPSTASH_REDIS_REST_URL;
 export const UPSTASH_REDIS_TOKEN = process.env.UPSTASH_REDIS_REST_TOKEN;
 
+// Key-encryption keys for stored SMTP passwords: "keyId:base64key" pairs (32-byte keys), comma-separated.
+// New secrets use SENDER_KEY_ID (default: the first key); keep old keys listed until they are rotated out.
+// Malformed entries stop the server at startup; messages name the entry by position, never the key itself
+function parseEncryptionKeys(value) {
+  const entries = value.split(',').map(entry => entry.trim()).filter(Boolean);
+  const keys = {};
+  entries.forEach((entry, i) => {
+    const separator = entry.indexOf(':');
+    const keyId = entry.slice(0, Math.max(separator, 0)).trim();
+    if (!keyId) {
+      throw new Error(`SENDER_ENCRYPTION_KEYS entry ${i + 1} must look like "keyId:base64key"`);
+    }
+    if (keys[keyId]) {
+      throw new Error(`SENDER_ENCRYPTION_KEYS lists key ID "${keyId}" more than once`);
+    }
+    const key = Buffer.from(entry.slice(separator + 1).trim(), 'base64');
+    if (key.length !== 32) {
+      throw new Error(`SENDER_ENCRYPTION_KEYS key "${keyId}" must be 32 bytes of base64, got ${key.length} bytes`);
+    }
+    keys[keyId] = key;
+  });
+  return keys;
+}
+
+export const SENDER_ENCRYPTION_KEYS = parseEncryptionKeys(process.env.SENDER_ENCRYPTION_KEYS || '');
+export const SENDER_ACTIVE_KEY_ID = process.env.SENDER_KEY_ID || Object.keys(SENDER_ENCRYPTION_KEYS)[0];
+
 if (!SUPABASE_URL) {
   console.warn('Warning: SUPABASE_URL not set');
 }
@@ -26,6 +88,10 @@ if (HMAC_SECRET === 'change-this-in-production') {
   console.warn('Warning: HMAC_SECRET is using default value. Set HMAC_SECRET env variable for production.');
 }
 
+if (!SENDER_ACTIVE_KEY_ID || !SENDER_ENCRYPTION_KEYS[SENDER_ACTIVE_KEY_ID]) {
+  console.warn('Warning: SENDER_ENCRYPTION_KEYS not set (or SENDER_KEY_ID unknown). Sender accounts cannot be stored.');
+}
+
 export const ALLOWED_ORIGINS = [
   CONFIG.frontendUrl,
   'http://localhost:5173',
@@ -10,8 +10,12 @@ import { supabase } from '../services/supabase.js';
 import { isVercel } from '../config/index.js';
 import {
   processCampaignBatch,
+  activateScheduledCampaigns,
 } from '../services/campaignWorkerService.js';
 import { isUpstashConfigured } from '../services/redis.js';
+import { processDsnMessage } from '../services/bounce-monitor.js';
+import { isEncryptionConfigured } from '../services/secret-box.js';
+import { rotateSenderAccountKeys } from '../services/sender-accounts.js';
 
 const router = express.Router();
 
@@ -48,9 +52,15 @@ router.get('/process', async (req, res) => {
 
   console.log('🔄 Campaign worker started');
   const startTime = Date.now();
-  const results = { processed: 0, sent: 0, failed: 0, campaigns: [] };
+  const results = { processed: 0, sent: 0, failed: 0, suppressed: 0, deferred: 0, waitingForWindow: 0, waitingForSender: 0, throttled: 0, busy: 0, campaigns: [] };
 
   try {
+    // Scheduled campaigns whose start time has arrived become running
+    const activated = await activateScheduledCampaigns();
+    if (activated.length > 0) {
+      console.log(`⏰ Started ${activated.length} scheduled campaign(s)`);
+    }
+
     // Get all running campaigns
     const { data: campaigns, error: campaignsError } = await supabase
       .from('campaigns')
@@ -86,9 +96,16 @@ router.get('/process', async (req, res) => {
       results.processed += campaignResult.processed;
       results.sent += campaignResult.sent;
       results.failed += campaignResult.failed;
+      results.suppressed += campaignResult.suppressed;
+      results.deferred += campaignResult.deferred;
+      results.waitingForWindow += campaignResult.waitingForWindow;
+      results.waitingForSender += campaignResult.waitingForSender;
+      results.throttled += campaignResult.throttled;
+      // Held by another invocation of this endpoint or by the long-running processor
+      if (campaignResult.busy) results.busy++;
     }
 
-    console.log(`✅ Worker completed: ${results.sent} sent, ${results.failed} failed`);
+    console.log(`✅ Worker completed: ${results.sent} sent, ${results.failed} failed, ${results.suppressed} suppressed, ${results.deferred} deferred`);
     res.json({ success: true, results });
 
   } catch (err) {
@@ -97,7 +114,63 @@ router.get('/process', async (req, res) => {
   }
 });
 
+/**
+ * Ingest an asynchronous bounce (DSN) message
+ * Called by an inbound-mail webhook with the raw message as the body
+ * 
+ * POST /api/campaign-worker/bounces
+ */
+router.post('/bounces',
+  express.text({ type: ['message/rfc822', 'text/plain'], limit: '5mb' }),
+  async (req, res) => {
+    // Bounces change suppression state: never open to anonymous callers, even when CRON_SECRET is unset
+    if (!BATCH_CONFIG.CRON_SECRET || req.headers.authorization !== `Bearer ${BATCH_CONFIG.CRON_SECRET}`) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+
+    const raw = typeof req.body === 'string' ? req.body : req.body?.raw;
+    if (!raw) {
+      return res.status(400).json({ success: false, error: 'Raw message body is required' });
+    }
+
+    try {
+      const result = await processDsnMessage(raw);
+      if (!result.isDsn) {
+        return res.status(422).json({ success: false, error: 'Message is not a delivery status notification' });
+      }
+
+      console.log(`📭 DSN processed: ${result.recorded} hard bounce(s) recorded`);
+      res.json({ success: true, ...result });
+    } catch (err) {
+      console.error('❌ DSN processing error:', err);
+      res.status(500).json({ success: false, error: 'Failed to process bounce message' });
+    }
+  }
+);
+
+/**
+ * Re-wrap stored sender passwords with the active encryption key
+ * Run after adding a new key to SENDER_ENCRYPTION_KEYS and switching SENDER_KEY_ID
+ * 
+ * POST /api/campaign-worker/rotate-keys
+ */
+router.post('/rotate-keys', async (req, res) => {
+  // Never open to anonymous callers, even when CRON_SECRET is unset
+  if (!BATCH_CONFIG.CRON_SECRET || req.headers.authorization !== `Bearer ${BATCH_CONFIG.CRON_SECRET}`) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+  if (!isEncryptionConfigured()) {
+    return res.status(503).json({ success: false, error: 'SENDER_ENCRYPTION_KEYS is not configured' });
+  }
 
-// ...existing code...
+  try {
+    const result = await rotateSenderAccountKeys();
+    console.log(`🔑 Sender keys rotated: ${result.rewrapped}/${result.checked} re-wrapped, ${result.failed} failed`);
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error('❌ Key rotation error:', err);
+    res.status(500).json({ success: false, error: 'Failed to rotate sender account keys' });
+  }
+});
 
 export default router;
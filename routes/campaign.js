@@ -4,20 +4,175 @@
  */
 
 import express from 'express';
-import { body } from 'express-validator';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { body, param } from 'express-validator';
 import { handleValidationErrors } from '../middleware/validation.js';
 import { requireAuth, requireOwnership } from '../middleware/auth.js';
 import { redisCampaignLimiter, campaignQueue, redis, isUpstashConfigured } from '../services/redis.js';
 import { supabase } from '../services/supabase.js';
-import { validateCredentials } from '../services/helpers.js';
 import { createTransporterFromCredentials } from '../services/email.js';
 import crypto from 'crypto';
 import { isVercel } from '../config/index.js';
-import { processCampaign, LIMITS } from '../services/campaign-processor.js';
+import { processCampaign, scheduleCampaignStart, LIMITS } from '../services/campaign-processor.js';
+import { getSuppressedEmails } from '../services/suppression.js';
+import { countDeferredEmails, countWaitingForLocalWindow, markContactReplied } from '../services/campaignService.js';
+import { validateSendingWindow, normalizeSendingWindow } from '../services/sending-window.js';
+import { getCampaignEngagement } from '../services/tracking.js';
+import { getSenderAccount, getSenderCredentials } from '../services/sender-accounts.js';
+import { getCampaignSenderIds, SENDER_POOL_LIMITS, SENDER_ROTATION_MODES } from '../services/sender-pool.js';
+import { resolveAudience, normalizeSegment } from '../services/contacts.js';
+import { assessContacts, summarizeQuality, QUALITY_POLICIES } from '../services/contact-quality.js';
+import { verifyContactDomains, DOMAIN_CHECK_MODES } from '../services/domain-verification.js';
+import { normalizeDomainThrottle } from '../services/domain-throttle.js';
+import { normalizeBreakerConfig } from '../services/circuit-breaker.js';
+import { collectContactColumns, streamCampaignCsv, EXPORT_FILTERS } from '../services/campaign-export.js';
+import {
+  loadCampaignContacts,
+  selectCloneRecipients,
+  copyCampaignSettings,
+  CLONE_RECIPIENT_FILTERS,
+  CLONEABLE_STATUSES,
+} from '../services/campaign-clone.js';
+import { saveTemplateVersion, getTemplateVersions } from '../services/template-versions.js';
+import { replaceRecipients, cancelRemovedSteps, refreshCampaignCounts, EDITABLE_STATUSES } from '../services/campaign-edits.js';
+import {
+  transitionCampaign,
+  recordCampaignEvent,
+  getCampaignEvents,
+  CAMPAIGN_ACTORS,
+  CAMPAIGN_STATES,
+} from '../services/campaign-state.js';
 
 const router = express.Router();
 
-// ...existing code...
+const MAX_PAGE_SIZE = 100;
+const CAMPAIGN_SORT_FIELDS = {
+  createdAt: 'created_at',
+  name: 'name',
+  status: 'status',
+  startedAt: 'started_at',
+  completedAt: 'completed_at',
+  sent: 'sent_count',
+};
+const EMAIL_STATUSES = ['pending', 'sending', 'sent', 'failed', 'deferred', 'cancelled', 'suppressed'];
+const DELAY_RANGE_ERROR = 'delayMin must not be greater than delayMax';
+
+function parsePagination(query) {
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(query.limit, 10) || 50));
+  return { page, limit, from: (page - 1) * limit };
+}
+
+// "sent,failed" -> ['sent', 'failed']; returns null when any value is unknown
+function parseStatusFilter(value, allowed) {
+  if (!value) return [];
+  const statuses = String(value).split(',').map(status => status.trim()).filter(Boolean);
+  return statuses.every(status => allowed.includes(status)) ? statuses : null;
+}
+
+/**
+ * Decrypt and SMTP-verify the sender accounts a campaign is about to use.
+ * Returns null when all of them work, otherwise { status, error } for the response.
+ */
+async function checkSenderAccounts(userId, senderIds) {
+  let senders;
+  try {
+    senders = await Promise.all(senderIds.map(id => getSenderCredentials(userId, id)));
+  } catch (err) {
+    console.error('Sender account decrypt error:', err);
+    return { status: 500, error: 'Failed to load sender account' };
+  }
+  const missingIndex = senders.findIndex(credentials => !credentials);
+  if (missingIndex !== -1) {
+    return { status: 404, error: `Sender account ${senderIds[missingIndex]} not found` };
+  }
+
+  // Verify every SMTP connection before starting
+  const smtpErrors = await Promise.all(senders.map(async credentials => {
+    const transporter = createTransporterFromCredentials(credentials);
+    try {
+      await transporter.verify();
+      return null;
+    } catch (err) {
+      return `${credentials.emailUser}: ${err.message}`;
+    } finally {
+      transporter.close();
+    }
+  }));
+  const smtpError = smtpErrors.find(Boolean);
+  return smtpError ? { status: 400, error: `SMTP connection failed for ${smtpError}` } : null;
+}
+
+const followUpRules = [
+  body('followUps').optional().isArray({ max: LIMITS.MAX_FOLLOW_UPS })
+    .withMessage(`Follow-ups must be an array with at most ${LIMITS.MAX_FOLLOW_UPS} steps`),
+  body('followUps.*.body').notEmpty().withMessage('Each follow-up needs a body'),
+  body('followUps.*.delayDays').isInt({ min: 1, max: LIMITS.MAX_FOLLOW_UP_DELAY_DAYS })
+    .withMessage(`Follow-up delayDays must be between 1 and ${LIMITS.MAX_FOLLOW_UP_DELAY_DAYS}`),
+  body('followUps.*.threadReply').optional().isBoolean().withMessage('threadReply must be a boolean'),
+  body('followUps.*').custom(step => step.threadReply !== false || !!step.subject)
+    .withMessage('Follow-ups that do not thread as a reply need their own subject'),
+];
+
+function toSequenceSteps(followUps) {
+  return followUps.map(step => ({
+    subject: step.subject || null,
+    body: step.body,
+    delayDays: Number(step.delayDays),
+    threadReply: step.threadReply !== false,
+  }));
+}
+
+const reasonRule = body('reason').optional().isString().isLength({ max: 500 })
+  .withMessage('reason must be a string of at most 500 characters');
+
+/**
+ * Change a campaign's status on behalf of the signed-in user. Answers 409 and
+ * returns null when the move is not allowed or the status changed meanwhile.
+ */
+async function transitionForUser(req, res, campaign, to, { reason = null, updates = {} } = {}) {
+  try {
+    const updated = await transitionCampaign(campaign.id, {
+      from: campaign.status,
+      to,
+      actor: CAMPAIGN_ACTORS.USER,
+      actorId: req.user.id,
+      reason: reason || req.body.reason || null,
+      updates,
+    });
+    if (!updated) {
+      res.status(409).json({ success: false, error: 'Campaign status changed in the meantime; reload and try again', code: 'STATUS_CONFLICT' });
+    }
+    return updated;
+  } catch (err) {
+    if (err.code !== 'INVALID_TRANSITION') throw err;
+    res.status(409).json({ success: false, error: err.message, code: err.code, status: campaign.status });
+    return null;
+  }
+}
+
+const CAMPAIGN_LIMIT_RESPONSE = {
+  success: false,
+  error: `Maximum ${LIMITS.MAX_CONCURRENT_CAMPAIGNS} concurrent campaigns allowed. Please wait for a campaign to complete.`,
+  code: 'MAX_CAMPAIGNS_REACHED',
+};
+
+async function atCampaignLimit(userId) {
+  if (!isUpstashConfigured) return false;
+  const activeCampaigns = await campaignQueue.getUserCampaigns(userId);
+  const runningCampaigns = activeCampaigns.filter(c => c.status === 'running' || c.status === 'queued');
+  return runningCampaigns.length >= LIMITS.MAX_CONCURRENT_CAMPAIGNS;
+}
+
+/**
+ * Remove a campaign whose creation failed part-way. Its emails, template
+ * versions and events go with it (on delete cascade).
+ */
+async function discardCampaign(campaignId) {
+  const { error } = await supabase.from('campaigns').delete().eq('id', campaignId);
+  if (error) console.error(`Campaign ${campaignId} cleanup error:`, error.message);
+}
 
 /**
  * Start a new campaign (queued server-side)
@@ -25,85 +180,284 @@ const router = express.Router();
 router.post('/start',
   requireAuth,
   redisCampaignLimiter,
-  body('contacts').isArray({ min: 1, max: LIMITS.MAX_CONTACTS_PER_CAMPAIGN })
+  body('contacts').optional().isArray({ min: 1, max: LIMITS.MAX_CONTACTS_PER_CAMPAIGN })
     .withMessage(`Contacts must be an array with 1-${LIMITS.MAX_CONTACTS_PER_CAMPAIGN} items`),
+  body('listId').optional().isUUID().withMessage('Valid list ID required'),
+  body('segment').optional().custom(segment => {
+    normalizeSegment(segment);
+    return true;
+  }),
+  body('qualityPolicy').optional().isIn(QUALITY_POLICIES)
+    .withMessage(`qualityPolicy must be one of: ${QUALITY_POLICIES.join(', ')}`),
+  body('normalizeGmail').optional().isBoolean().withMessage('normalizeGmail must be a boolean'),
+  body('domainCheck').optional().isIn(DOMAIN_CHECK_MODES)
+    .withMessage(`domainCheck must be one of: ${DOMAIN_CHECK_MODES.join(', ')}`),
+  body('circuitBreaker').optional({ values: 'null' }).custom(config => {
+    normalizeBreakerConfig(config);
+    return true;
+  }),
+  body('domainThrottle').optional({ values: 'null' }).custom(throttle => {
+    normalizeDomainThrottle(throttle);
+    return true;
+  }),
   body('template.subject').notEmpty().withMessage('Template subject is required'),
   body('template.body').notEmpty().withMessage('Template body is required'),
-  body('credentials').notEmpty().withMessage('SMTP credentials are required'),
+  body('senderAccountId').optional().isUUID().withMessage('Valid sender account ID required'),
+  body('senderAccountIds').optional().isArray({ min: 1, max: SENDER_POOL_LIMITS.MAX_SENDERS_PER_CAMPAIGN })
+    .withMessage(`senderAccountIds must be an array with 1-${SENDER_POOL_LIMITS.MAX_SENDERS_PER_CAMPAIGN} IDs`),
+  body('senderAccountIds.*').isUUID().withMessage('Each sender account ID must be a valid UUID'),
+  body('senderRotation').optional().isIn(SENDER_ROTATION_MODES)
+    .withMessage(`senderRotation must be one of: ${SENDER_ROTATION_MODES.join(', ')}`),
   body('delayMin').optional().isInt({ min: LIMITS.MIN_DELAY_MS, max: LIMITS.MAX_DELAY_MS }),
   body('delayMax').optional().isInt({ min: LIMITS.MIN_DELAY_MS, max: LIMITS.MAX_DELAY_MS }),
+  body('unsubscribeFooter').optional().isBoolean().withMessage('unsubscribeFooter must be a boolean'),
+  body('trackOpens').optional().isBoolean().withMessage('trackOpens must be a boolean'),
+  body('trackClicks').optional().isBoolean().withMessage('trackClicks must be a boolean'),
+  ...followUpRules,
+  body('scheduledAt').optional().isISO8601().withMessage('scheduledAt must be an ISO 8601 date'),
+  body('draft').optional().isBoolean().withMessage('draft must be a boolean'),
+  body('recipientTimezone').optional().isBoolean().withMessage('recipientTimezone must be a boolean'),
+  body('sendingWindow').optional({ values: 'null' }).custom(window => {
+    const windowError = validateSendingWindow(window);
+    if (windowError) throw new Error(windowError);
+    return true;
+  }),
   handleValidationErrors,
   async (req, res) => {
     const { 
-      contacts, 
       template, 
-      credentials, 
+      senderAccountId, 
+      senderAccountIds,
+      senderRotation = 'round_robin',
       senderName, 
       delayMin = LIMITS.DEFAULT_MIN_DELAY_MS,
       delayMax = LIMITS.DEFAULT_MAX_DELAY_MS,
       campaignName,
+      unsubscribeFooter = true,
+      trackOpens = true,
+      trackClicks = true,
+      followUps = [],
+      scheduledAt,
+      draft = false,
+      sendingWindow,
+      recipientTimezone = false,
+      listId,
+      segment,
+      qualityPolicy = 'warn',
+      normalizeGmail = false,
+      domainCheck = 'flag',
+      domainThrottle,
+      circuitBreaker,
     } = req.body;
     
     const userId = req.user.id;
+    let { contacts } = req.body;
 
-    // Validate credentials
-    const credError = validateCredentials(credentials);
-    if (credError) {
-      return res.status(400).json({ success: false, error: credError });
+    if (Number(delayMin) > Number(delayMax)) {
+      return res.status(400).json({ success: false, error: DELAY_RANGE_ERROR });
     }
 
-    // Verify SMTP connection before starting
-    let transporter;
-    try {
-      transporter = createTransporterFromCredentials(credentials);
-      await transporter.verify();
-      transporter.close();
-    } catch (err) {
-      return res.status(400).json({ 
-        success: false, 
-        error: `SMTP connection failed: ${err.message}` 
-      });
+    // Audience: inline contacts, or a saved list and/or segment
+    if (!contacts && !listId && !segment) {
+      return res.status(400).json({ success: false, error: 'Provide contacts, a listId or a segment' });
     }
+    if (!contacts) {
+      try {
+        contacts = await resolveAudience(userId, { listId, segment });
+      } catch (err) {
+        if (err.code === 'LIST_NOT_FOUND') {
+          return res.status(404).json({ success: false, error: err.message });
+        }
+        console.error('Audience lookup error:', err);
+        return res.status(500).json({ success: false, error: 'Failed to load contacts' });
+      }
 
-    // Check concurrent campaign limit
-    if (isUpstashConfigured) {
-      const activeCampaigns = await campaignQueue.getUserCampaigns(userId);
-      const runningCampaigns = activeCampaigns.filter(c => c.status === 'running' || c.status === 'queued');
-      
-      if (runningCampaigns.length >= LIMITS.MAX_CONCURRENT_CAMPAIGNS) {
-        return res.status(429).json({
+      if (contacts.length === 0) {
+        return res.status(400).json({ success: false, error: 'The selected list or segment has no contacts', code: 'EMPTY_AUDIENCE' });
+      }
+      if (contacts.length > LIMITS.MAX_CONTACTS_PER_CAMPAIGN) {
+        return res.status(400).json({
           success: false,
-          error: `Maximum ${LIMITS.MAX_CONCURRENT_CAMPAIGNS} concurrent campaigns allowed. Please wait for a campaign to complete.`,
-          code: 'MAX_CAMPAIGNS_REACHED',
+          error: `The selected audience has ${contacts.length} contacts; the maximum is ${LIMITS.MAX_CONTACTS_PER_CAMPAIGN}`,
         });
       }
     }
 
+    // Contact hygiene: drop invalid and duplicate addresses, apply the role/disposable policy
+    const quality = assessContacts(contacts, { policy: qualityPolicy, normalizeGmail });
+    const qualityReport = {
+      ...summarizeQuality(quality, qualityPolicy),
+      issues: {
+        invalid: quality.invalid,
+        duplicates: quality.duplicates,
+        roleAccounts: quality.roleAccounts,
+        disposable: quality.disposable,
+      },
+    };
+
+    if (quality.rejected) {
+      return res.status(422).json({
+        success: false,
+        error: 'Contacts include invalid, duplicate, role-account or disposable addresses',
+        code: 'QUALITY_CHECK_FAILED',
+        quality: qualityReport,
+      });
+    }
+    if (quality.contacts.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No contacts left after quality checks',
+        code: 'NO_VALID_CONTACTS',
+        quality: qualityReport,
+      });
+    }
+    contacts = quality.contacts;
+
+    // Recipient domains that cannot receive mail (no MX / A records)
+    let domainReport = null;
+    if (domainCheck !== 'off') {
+      try {
+        const verification = await verifyContactDomains(contacts);
+        const undeliverable = verification.undeliverable.map(entry => ({
+          ...entry,
+          index: quality.indexes[entry.index],
+        }));
+        domainReport = {
+          mode: domainCheck,
+          checked: Object.keys(verification.domains).length,
+          unknown: verification.unknown,
+          undeliverable,
+          skipped: 0,
+        };
+
+        if (domainCheck === 'skip' && undeliverable.length > 0) {
+          const badEmails = new Set(undeliverable.map(entry => entry.email));
+          contacts = contacts.filter(contact => !badEmails.has(contact.email));
+          domainReport.skipped = undeliverable.length;
+
+          if (contacts.length === 0) {
+            return res.status(400).json({
+              success: false,
+              error: 'No contacts have a domain that can receive mail',
+              code: 'NO_VALID_CONTACTS',
+              quality: qualityReport,
+              domains: domainReport,
+            });
+          }
+        }
+      } catch (err) {
+        // A DNS outage should not block the campaign
+        console.error('Domain verification error:', err);
+        domainReport = { mode: domainCheck, error: 'Domain verification failed' };
+      }
+    }
+
+    if (draft && scheduledAt) {
+      return res.status(400).json({ success: false, error: 'Drafts are scheduled when launched; pass scheduledAt to /launch' });
+    }
+    const isScheduled = !!scheduledAt && new Date(scheduledAt) > new Date();
+    const initialStatus = draft ? 'draft' : isScheduled ? 'scheduled' : 'running';
+
+    if (recipientTimezone && !sendingWindow) {
+      return res.status(400).json({ success: false, error: 'recipientTimezone requires a sendingWindow' });
+    }
+
+    // Load the saved sender account(s) the campaign rotates through
+    const senderIds = [...new Set(senderAccountIds || (senderAccountId ? [senderAccountId] : []))];
+    if (senderIds.length === 0) {
+      return res.status(400).json({ success: false, error: 'Provide a senderAccountId or senderAccountIds' });
+    }
+    if (draft) {
+      // SMTP connections are verified when the draft is launched
+      for (const id of senderIds) {
+        if (!(await getSenderAccount(userId, id))) {
+          return res.status(404).json({ success: false, error: `Sender account ${id} not found` });
+        }
+      }
+    } else {
+      const senderError = await checkSenderAccounts(userId, senderIds);
+      if (senderError) {
+        return res.status(senderError.status).json({ success: false, error: senderError.error });
+      }
+
+      // Check concurrent campaign limit
+      if (await atCampaignLimit(userId)) {
+        return res.status(429).json(CAMPAIGN_LIMIT_RESPONSE);
+      }
+    }
+
+    // Filter out unsubscribed and bounced recipients
+    let suppressed;
+    try {
+      suppressed = await getSuppressedEmails(userId, contacts.map(c => c.email));
+    } catch (err) {
+      console.error('Suppression lookup error:', err);
+      return res.status(500).json({ success: false, error: 'Failed to check suppression list' });
+    }
+
+    const suppressionReason = (contact) => suppressed.get(String(contact.email || '').toLowerCase().trim());
+    const suppressedCount = contacts.filter(suppressionReason).length;
+
+    if (suppressedCount === contacts.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'All contacts are on the suppression list (unsubscribed or bounced)',
+        code: 'ALL_SUPPRESSED',
+      });
+    }
+
     // Create campaign in Supabase
     const campaignId = crypto.randomUUID();
     
     try {
-      const { error: campaignError } = await supabase.from('campaigns').insert({
+      const campaignRecord = {
         id: campaignId,
         user_id: userId,
         name: campaignName || `Campaign ${new Date().toLocaleDateString()}`,
-        status: 'running',
+        status: initialStatus,
         total_emails: contacts.length,
         sent_count: 0,
         failed_count: 0,
+        suppressed_count: suppressedCount,
         delay_min: delayMin,
         delay_max: delayMax,
         template_subject: template.subject,
         template_body: template.body,
-        sender_name: senderName || credentials.senderName,
-        started_at: new Date().toISOString(),
-      });
+        template_version: 1,
+        // Without an explicit name each mailbox sends under its own sender name
+        sender_name: senderName || null,
+        sender_account_id: senderIds[0],
+        sender_account_ids: senderIds,
+        sender_rotation: senderRotation,
+        unsubscribe_footer: unsubscribeFooter,
+        track_opens: trackOpens,
+        track_clicks: trackClicks,
+        sequence_steps: toSequenceSteps(followUps),
+        sending_window: normalizeSendingWindow(sendingWindow),
+        use_recipient_timezone: recipientTimezone,
+        domain_throttle: normalizeDomainThrottle(domainThrottle),
+        circuit_breaker: normalizeBreakerConfig(circuitBreaker),
+        scheduled_at: isScheduled ? new Date(scheduledAt).toISOString() : null,
+        list_id: listId || null,
+        segment: segment ? normalizeSegment(segment) : null,
+        started_at: initialStatus === 'running' ? new Date().toISOString() : null,
+      };
+      const { error: campaignError } = await supabase.from('campaigns').insert(campaignRecord);
 
       if (campaignError) {
         console.error('Campaign insert error:', campaignError);
         throw campaignError;
       }
 
+      await saveTemplateVersion(campaignRecord);
+      await recordCampaignEvent({
+        campaignId,
+        userId,
+        to: initialStatus,
+        actor: CAMPAIGN_ACTORS.USER,
+        actorId: userId,
+        reason: 'Campaign created',
+      });
       console.log('✅ Campaign created:', campaignId);
 
       // Insert campaign emails
@@ -112,8 +466,10 @@ router.post('/start',
         user_id: userId,
         email: contact.email,
         contact_data: contact,
-        status: 'pending',
+        status: suppressionReason(contact) ? 'suppressed' : 'pending',
+        error_message: suppressionReason(contact) || null,
         sort_order: index,
+        step: 0,
       }));
 
       const { error: insertError } = await supabase
@@ -129,57 +485,48 @@ router.post('/start',
 
     } catch (err) {
       console.error('Campaign creation error:', err);
+      await discardCampaign(campaignId);
       return res.status(500).json({ 
         success: false, 
         error: 'Failed to create campaign',
       });
     }
 
-    // Queue campaign for processing (store credentials temporarily)
+    if (draft) {
+      return res.json({
+        success: true,
+        campaignId,
+        status: 'draft',
+        message: `Draft created with ${contacts.length - suppressedCount} contacts`,
+        total: contacts.length,
+        suppressed: suppressedCount,
+        quality: qualityReport,
+        domains: domainReport,
+      });
+    }
+
+    // Track the campaign in the queue; the sender password stays encrypted in the database
     if (isUpstashConfigured) {
       await campaignQueue.enqueue(campaignId, userId, {
         campaignId,
         userId,
-        credentials: {
-          smtpHost: credentials.smtpHost,
-          smtpPort: credentials.smtpPort,
-          emailUser: credentials.emailUser,
-          // Note: Password should be encrypted in production
-          emailPass: credentials.emailPass,
-          senderName: credentials.senderName,
-        },
-        template,
-        senderName,
-        delayMin,
-        delayMax,
+        senderAccountIds: senderIds,
         status: 'running',
         currentIndex: 0,
         total: contacts.length,
       });
-    } else {
-      // Fallback: Store in database (not recommended for production due to security)
-      console.warn('⚠️ Storing credentials in database - configure Upstash Redis for production');
-      await supabase
-        .from('campaigns')
-        .update({
-          credentials_temp: JSON.stringify({
-            smtpHost: credentials.smtpHost,
-            smtpPort: credentials.smtpPort,
-            emailUser: credentials.emailUser,
-            emailPass: credentials.emailPass,
-            senderName: credentials.senderName,
-          }),
-          template_data: JSON.stringify({ template, senderName, delayMin, delayMax }),
-        })
-        .eq('id', campaignId);
     }
 
     // On Vercel, don't call processCampaign - let worker handle it
     // On local/non-serverless, start background processing
     if (!isVercel) {
-      processCampaign(campaignId, userId).catch(err => {
-        console.error(`Campaign ${campaignId} processing error:`, err);
-      });
+      if (isScheduled) {
+        scheduleCampaignStart(campaignId, userId, scheduledAt);
+      } else {
+        processCampaign(campaignId, userId).catch(err => {
+          console.error(`Campaign ${campaignId} processing error:`, err);
+        });
+      }
     } else {
       console.log('🔄 Serverless mode: campaign will be processed by worker');
     }
@@ -187,8 +534,14 @@ router.post('/start',
     res.json({
       success: true,
       campaignId,
-      message: `Campaign started with ${contacts.length} contacts`,
+      status: isScheduled ? 'scheduled' : 'running',
+      message: isScheduled
+        ? `Campaign scheduled for ${new Date(scheduledAt).toISOString()} with ${contacts.length - suppressedCount} contacts`
+        : `Campaign started with ${contacts.length - suppressedCount} contacts`,
       total: contacts.length,
+      suppressed: suppressedCount,
+      quality: qualityReport,
+      domains: domainReport,
     });
   }
 );
@@ -200,6 +553,7 @@ router.post('/pause',
   requireAuth,
   redisCampaignLimiter,
   body('campaignId').isUUID().withMessage('Valid campaign ID required'),
+  reasonRule,
   handleValidationErrors,
   async (req, res) => {
     const { campaignId } = req.body;
@@ -217,14 +571,10 @@ router.post('/pause',
         return res.status(404).json({ success: false, error: 'Campaign not found' });
       }
 
-      if (campaign.status !== 'running') {
-        return res.status(400).json({ success: false, error: 'Campaign is not running' });
-      }
-
-      await supabase
-        .from('campaigns')
-        .update({ status: 'paused', paused_at: new Date().toISOString() })
-        .eq('id', campaignId);
+      const paused = await transitionForUser(req, res, campaign, 'paused', {
+        updates: { paused_at: new Date().toISOString() },
+      });
+      if (!paused) return;
 
       if (isUpstashConfigured) {
         await campaignQueue.updateProgress(campaignId, userId, { status: 'paused' });
@@ -245,17 +595,16 @@ router.post('/resume',
   requireAuth,
   redisCampaignLimiter,
   body('campaignId').isUUID().withMessage('Valid campaign ID required'),
+  body('senderAccountId').optional().isUUID().withMessage('Valid sender account ID required'),
+  body('senderAccountIds').optional().isArray({ min: 1, max: SENDER_POOL_LIMITS.MAX_SENDERS_PER_CAMPAIGN })
+    .withMessage(`senderAccountIds must be an array with 1-${SENDER_POOL_LIMITS.MAX_SENDERS_PER_CAMPAIGN} IDs`),
+  body('senderAccountIds.*').isUUID().withMessage('Each sender account ID must be a valid UUID'),
+  reasonRule,
   handleValidationErrors,
   async (req, res) => {
     const { campaignId } = req.body;
-    const { credentials } = req.body;
     const userId = req.user.id;
 
-    const credError = validateCredentials(credentials);
-    if (credError) {
-      return res.status(400).json({ success: false, error: credError });
-    }
-
     try {
       const { data: campaign, error } = await supabase
         .from('campaigns')
@@ -268,61 +617,78 @@ router.post('/resume',
         return res.status(404).json({ success: false, error: 'Campaign not found' });
       }
 
-      if (campaign.status !== 'paused') {
-        return res.status(400).json({ success: false, error: 'Campaign is not paused' });
+      // Drafts and scheduled campaigns also may become running, but through /launch and the scheduler
+      if (!['paused', 'error'].includes(campaign.status)) {
+        return res.status(409).json({
+          success: false,
+          error: `A ${campaign.status} campaign cannot be resumed`,
+          code: 'INVALID_TRANSITION',
+          status: campaign.status,
+        });
       }
 
-      // Store credentials and update status
+      // Optionally switch to other saved sender accounts
+      const { senderAccountId, senderAccountIds } = req.body;
+      const senderIds = senderAccountIds || senderAccountId
+        ? [...new Set(senderAccountIds || [senderAccountId])]
+        : getCampaignSenderIds(campaign);
+      if (senderIds.length === 0) {
+        return res.status(400).json({ success: false, error: 'senderAccountId is required to resume this campaign' });
+      }
+      for (const id of senderIds) {
+        if (!(await getSenderAccount(userId, id))) {
+          return res.status(404).json({ success: false, error: `Sender account ${id} not found` });
+        }
+      }
+
+      // Paused before its start time: wait for that time again instead of sending now
+      const waitsForStart = campaign.status === 'paused' && !!campaign.scheduled_at && new Date(campaign.scheduled_at) > new Date();
+      const nextStatus = waitsForStart ? 'scheduled' : 'running';
+
+      const resumed = await transitionForUser(req, res, campaign, nextStatus, {
+        updates: {
+          paused_at: null,
+          sender_account_id: senderIds[0],
+          sender_account_ids: senderIds,
+          // Start the circuit breaker's window afresh
+          error_message: null,
+          breaker_trip: null,
+          breaker_reset_at: new Date().toISOString(),
+        },
+      });
+      if (!resumed) return;
+
       if (isUpstashConfigured) {
         await campaignQueue.enqueue(campaignId, userId, {
           campaignId,
           userId,
-          credentials,
-          template: { subject: campaign.template_subject, body: campaign.template_body },
-          senderName: campaign.sender_name,
-          delayMin: campaign.delay_min,
-          delayMax: campaign.delay_max,
+          senderAccountIds: senderIds,
           status: 'running',
-          currentIndex: campaign.sent_count + campaign.failed_count,
+          currentIndex: campaign.sent_count + campaign.failed_count + (campaign.suppressed_count || 0),
           total: campaign.total_emails,
         });
-      } else {
-        // CRITICAL FIX: Store credentials in database for non-Upstash mode
-        await supabase
-          .from('campaigns')
-          .update({
-            credentials_temp: JSON.stringify({
-              smtpHost: credentials.smtpHost,
-              smtpPort: credentials.smtpPort,
-              emailUser: credentials.emailUser,
-              emailPass: credentials.emailPass,
-              senderName: credentials.senderName,
-            }),
-            template_data: JSON.stringify({
-              template: { subject: campaign.template_subject, body: campaign.template_body },
-              senderName: campaign.sender_name,
-              delayMin: campaign.delay_min,
-              delayMax: campaign.delay_max,
-            }),
-          })
-          .eq('id', campaignId);
       }
 
-      await supabase
-        .from('campaigns')
-        .update({ status: 'running', paused_at: null })
-        .eq('id', campaignId);
-
       // On Vercel, don't call processCampaign - let worker handle it
       if (!isVercel) {
-        processCampaign(campaignId, userId).catch(err => {
-          console.error(`Campaign ${campaignId} resume error:`, err);
-        });
+        if (waitsForStart) {
+          scheduleCampaignStart(campaignId, userId, campaign.scheduled_at);
+        } else {
+          processCampaign(campaignId, userId).catch(err => {
+            console.error(`Campaign ${campaignId} resume error:`, err);
+          });
+        }
       } else {
         console.log('🔄 Serverless mode: campaign will be processed by worker');
       }
 
-      res.json({ success: true, message: 'Campaign resumed' });
+      res.json({
+        success: true,
+        status: nextStatus,
+        message: waitsForStart
+          ? `Campaign resumed; it starts at ${new Date(campaign.scheduled_at).toISOString()}`
+          : 'Campaign resumed',
+      });
     } catch (err) {
       console.error('Resume error:', err);
       res.status(500).json({ success: false, error: 'Failed to resume campaign' });
@@ -337,6 +703,7 @@ router.post('/stop',
   requireAuth,
   redisCampaignLimiter,
   body('campaignId').isUUID().withMessage('Valid campaign ID required'),
+  reasonRule,
   handleValidationErrors,
   async (req, res) => {
     const { campaignId } = req.body;
@@ -354,20 +721,18 @@ router.post('/stop',
         return res.status(404).json({ success: false, error: 'Campaign not found' });
       }
 
-      await supabase
-        .from('campaigns')
-        .update({ 
-          status: 'stopped', 
-          completed_at: new Date().toISOString() 
-        })
-        .eq('id', campaignId);
+      const stopped = await transitionForUser(req, res, campaign, 'stopped', {
+        updates: { completed_at: new Date().toISOString() },
+      });
+      if (!stopped) return;
 
-      // Mark pending emails as cancelled
+      // Mark pending emails, queued retries and claimed rows as cancelled, so an expired
+      // claim is not put back to pending later. A send already in flight still records its result.
       await supabase
         .from('campaign_emails')
-        .update({ status: 'cancelled' })
+        .update({ status: 'cancelled', retry_at: null, claimed_by: null, claim_expires_at: null })
         .eq('campaign_id', campaignId)
-        .eq('status', 'pending');
+        .in('status', ['pending', 'deferred', 'sending']);
 
       if (isUpstashConfigured) {
         await campaignQueue.dequeue(campaignId, userId);
@@ -381,6 +746,643 @@ router.post('/stop',
   }
 );
 
+/**
+ * Mark a contact as replied so the rest of their sequence is cancelled
+ */
+router.post('/replied',
+  requireAuth,
+  redisCampaignLimiter,
+  body('campaignId').isUUID().withMessage('Valid campaign ID required'),
+  body('email').isEmail().withMessage('Valid email is required'),
+  handleValidationErrors,
+  async (req, res) => {
+    const { campaignId, email } = req.body;
+    const userId = req.user.id;
+
+    try {
+      const { data: campaign, error } = await supabase
+        .from('campaigns')
+        .select('id')
+        .eq('id', campaignId)
+        .eq('user_id', userId)
+        .single();
+
+      if (error || !campaign) {
+        return res.status(404).json({ success: false, error: 'Campaign not found' });
+      }
+
+      const { matched, cancelled } = await markContactReplied(campaignId, email);
+      if (matched === 0 && cancelled === 0) {
+        return res.status(404).json({ success: false, error: 'Contact not found in this campaign' });
+      }
+
+      res.json({ success: true, message: `Sequence stopped for ${email}`, cancelled });
+    } catch (err) {
+      console.error('Mark replied error:', err);
+      res.status(500).json({ success: false, error: 'Failed to mark contact as replied' });
+    }
+  }
+);
+
+/**
+ * POST /api/campaign/:campaignId/clone
+ * Copy a finished campaign's template, senders and settings into a new draft
+ * for the selected recipients. Start the draft with /:campaignId/launch.
+ */
+router.post('/:campaignId/clone',
+  requireAuth,
+  param('campaignId').isUUID().withMessage('Valid campaign ID required'),
+  body('recipients').optional().isIn(CLONE_RECIPIENT_FILTERS)
+    .withMessage(`recipients must be one of: ${CLONE_RECIPIENT_FILTERS.join(', ')}`),
+  body('skipHardBounces').optional().isBoolean().withMessage('skipHardBounces must be a boolean').toBoolean(),
+  body('campaignName').optional().isString().isLength({ min: 1, max: 200 })
+    .withMessage('campaignName must be 1-200 characters'),
+  handleValidationErrors,
+  async (req, res) => {
+    const { campaignId } = req.params;
+    const { recipients = 'all', skipHardBounces = true, campaignName } = req.body;
+    const userId = req.user.id;
+    let cloneId = null;
+
+    try {
+      const { data: original } = await supabase
+        .from('campaigns')
+        .select('*')
+        .eq('id', campaignId)
+        .eq('user_id', userId)
+        .maybeSingle();
+      if (!original) {
+        return res.status(404).json({ success: false, error: 'Campaign not found' });
+      }
+      if (!CLONEABLE_STATUSES.includes(original.status)) {
+        return res.status(409).json({
+          success: false,
+          error: `A ${original.status} campaign can still send; stop it before cloning`,
+          code: 'CAMPAIGN_ACTIVE',
+        });
+      }
+
+      const selection = selectCloneRecipients(await loadCampaignContacts(campaignId), { recipients, skipHardBounces });
+
+      // Addresses unsubscribed or bounced since the original campaign ran
+      const suppressed = await getSuppressedEmails(userId, selection.contacts.map(c => c.email));
+      const contacts = selection.contacts.filter(c => !suppressed.has(String(c.email).toLowerCase().trim()));
+      const skipped = {
+        ...selection.skipped,
+        suppressed: selection.skipped.suppressed + selection.contacts.length - contacts.length,
+      };
+
+      if (contacts.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'No recipients match the selected filter',
+          code: 'NO_RECIPIENTS',
+          skipped,
+        });
+      }
+
+      cloneId = crypto.randomUUID();
+      const { error: campaignError } = await supabase.from('campaigns').insert({
+        ...copyCampaignSettings(original),
+        id: cloneId,
+        user_id: userId,
+        name: campaignName || `${original.name} (copy)`,
+        status: 'draft',
+        total_emails: contacts.length,
+        sent_count: 0,
+        failed_count: 0,
+        suppressed_count: 0,
+        template_version: 1,
+        cloned_from: original.id,
+      });
+      if (campaignError) throw campaignError;
+      await saveTemplateVersion({ ...original, id: cloneId, template_version: 1 });
+      await recordCampaignEvent({
+        campaignId: cloneId,
+        userId,
+        to: 'draft',
+        actor: CAMPAIGN_ACTORS.USER,
+        actorId: userId,
+        reason: `Cloned from ${original.id} (${recipients} recipients)`,
+      });
+
+      const { error: insertError } = await supabase
+        .from('campaign_emails')
+        .insert(contacts.map((contact, index) => ({
+          campaign_id: cloneId,
+          user_id: userId,
+          email: contact.email,
+          contact_data: contact,
+          status: 'pending',
+          sort_order: index,
+          step: 0,
+        })));
+      if (insertError) throw insertError;
+
+      console.log(`✅ Campaign ${campaignId} cloned as draft ${cloneId} (${contacts.length} recipients)`);
+
+      res.json({
+        success: true,
+        campaignId: cloneId,
+        status: 'draft',
+        clonedFrom: original.id,
+        recipients,
+        total: contacts.length,
+        skipped,
+      });
+    } catch (err) {
+      console.error('Campaign clone error:', err);
+      // Leave no half-created draft behind
+      if (cloneId) await discardCampaign(cloneId);
+      res.status(500).json({ success: false, error: 'Failed to clone campaign' });
+    }
+  }
+);
+
+/**
+ * POST /api/campaign/:campaignId/launch
+ * Start a draft campaign now, or at `scheduledAt`
+ */
+router.post('/:campaignId/launch',
+  requireAuth,
+  redisCampaignLimiter,
+  param('campaignId').isUUID().withMessage('Valid campaign ID required'),
+  body('scheduledAt').optional().isISO8601().withMessage('scheduledAt must be an ISO 8601 date'),
+  handleValidationErrors,
+  async (req, res) => {
+    const { campaignId } = req.params;
+    const { scheduledAt } = req.body;
+    const userId = req.user.id;
+
+    try {
+      const { data: campaign } = await supabase
+        .from('campaigns')
+        .select('*')
+        .eq('id', campaignId)
+        .eq('user_id', userId)
+        .maybeSingle();
+      if (!campaign) {
+        return res.status(404).json({ success: false, error: 'Campaign not found' });
+      }
+      if (campaign.status !== 'draft') {
+        return res.status(409).json({ success: false, error: 'Only draft campaigns can be launched', code: 'INVALID_TRANSITION', status: campaign.status });
+      }
+
+      const senderIds = getCampaignSenderIds(campaign);
+      if (senderIds.length === 0) {
+        return res.status(400).json({ success: false, error: 'The campaign has no sender account' });
+      }
+      const senderError = await checkSenderAccounts(userId, senderIds);
+      if (senderError) {
+        return res.status(senderError.status).json({ success: false, error: senderError.error });
+      }
+      if (await atCampaignLimit(userId)) {
+        return res.status(429).json(CAMPAIGN_LIMIT_RESPONSE);
+      }
+
+      const isScheduled = !!scheduledAt && new Date(scheduledAt) > new Date();
+      const launched = await transitionForUser(req, res, campaign, isScheduled ? 'scheduled' : 'running', {
+        reason: 'Draft launched',
+        updates: {
+          scheduled_at: isScheduled ? new Date(scheduledAt).toISOString() : null,
+          started_at: isScheduled ? null : new Date().toISOString(),
+        },
+      });
+      if (!launched) return;
+
+      if (isUpstashConfigured) {
+        await campaignQueue.enqueue(campaignId, userId, {
+          campaignId,
+          userId,
+          senderAccountIds: senderIds,
+          status: 'running',
+          currentIndex: 0,
+          total: campaign.total_emails,
+        });
+      }
+
+      if (!isVercel) {
+        if (isScheduled) {
+          scheduleCampaignStart(campaignId, userId, scheduledAt);
+        } else {
+          processCampaign(campaignId, userId).catch(err => {
+            console.error(`Campaign ${campaignId} processing error:`, err);
+          });
+        }
+      } else {
+        console.log('🔄 Serverless mode: campaign will be processed by worker');
+      }
+
+      res.json({
+        success: true,
+        campaignId,
+        status: isScheduled ? 'scheduled' : 'running',
+        message: isScheduled
+          ? `Campaign scheduled for ${new Date(scheduledAt).toISOString()} with ${campaign.total_emails} contacts`
+          : `Campaign started with ${campaign.total_emails} contacts`,
+      });
+    } catch (err) {
+      console.error('Campaign launch error:', err);
+      res.status(500).json({ success: false, error: 'Failed to launch campaign' });
+    }
+  }
+);
+
+/**
+ * PUT /api/campaign/:campaignId
+ * Edit a draft or paused campaign: name, template, follow-ups, delays and
+ * recipients. A new template becomes the next version; rows that were already
+ * sent keep the version they went out with. Recipient changes only touch
+ * contacts that have not been emailed yet.
+ */
+router.put('/:campaignId',
+  requireAuth,
+  param('campaignId').isUUID().withMessage('Valid campaign ID required'),
+  body('campaignName').optional().isString().isLength({ min: 1, max: 200 })
+    .withMessage('campaignName must be 1-200 characters'),
+  body('template').optional().custom(template => !!template?.subject && !!template?.body)
+    .withMessage('template needs a subject and a body'),
+  ...followUpRules,
+  body('delayMin').optional().isInt({ min: LIMITS.MIN_DELAY_MS, max: LIMITS.MAX_DELAY_MS }),
+  body('delayMax').optional().isInt({ min: LIMITS.MIN_DELAY_MS, max: LIMITS.MAX_DELAY_MS }),
+  body('contacts').optional().isArray({ min: 1, max: LIMITS.MAX_CONTACTS_PER_CAMPAIGN })
+    .withMessage(`Contacts must be an array with 1-${LIMITS.MAX_CONTACTS_PER_CAMPAIGN} items`),
+  body('qualityPolicy').optional().isIn(QUALITY_POLICIES)
+    .withMessage(`qualityPolicy must be one of: ${QUALITY_POLICIES.join(', ')}`),
+  body('normalizeGmail').optional().isBoolean().withMessage('normalizeGmail must be a boolean'),
+  handleValidationErrors,
+  async (req, res) => {
+    const { campaignId } = req.params;
+    const {
+      campaignName,
+      template,
+      followUps,
+      delayMin,
+      delayMax,
+      contacts,
+      qualityPolicy = 'warn',
+      normalizeGmail = false,
+    } = req.body;
+    const userId = req.user.id;
+
+    if ([campaignName, template, followUps, delayMin, delayMax, contacts].every(value => value === undefined)) {
+      return res.status(400).json({ success: false, error: 'Nothing to update' });
+    }
+
+    try {
+      const { data: campaign } = await supabase
+        .from('campaigns')
+        .select('*')
+        .eq('id', campaignId)
+        .eq('user_id', userId)
+        .maybeSingle();
+      if (!campaign) {
+        return res.status(404).json({ success: false, error: 'Campaign not found' });
+      }
+      if (!EDITABLE_STATUSES.includes(campaign.status)) {
+        return res.status(409).json({
+          success: false,
+          error: `A ${campaign.status} campaign cannot be edited; pause it first`,
+          code: 'CAMPAIGN_NOT_EDITABLE',
+        });
+      }
+
+      // Check new contacts before anything is written
+      let quality = null;
+      if (contacts) {
+        quality = assessContacts(contacts, { policy: qualityPolicy, normalizeGmail });
+        const qualityReport = summarizeQuality(quality, qualityPolicy);
+        if (quality.rejected) {
+          return res.status(422).json({
+            success: false,
+            error: 'Contacts include invalid, duplicate, role-account or disposable addresses',
+            code: 'QUALITY_CHECK_FAILED',
+            quality: qualityReport,
+          });
+        }
+        if (quality.contacts.length === 0) {
+          return res.status(400).json({ success: false, error: 'No contacts left after quality checks', code: 'NO_VALID_CONTACTS', quality: qualityReport });
+        }
+      }
+
+      // Either bound may change on its own, so compare against the stored one
+      if (Number(delayMin ?? campaign.delay_min) > Number(delayMax ?? campaign.delay_max)) {
+        return res.status(400).json({ success: false, error: DELAY_RANGE_ERROR });
+      }
+
+      const updates = {};
+      if (campaignName !== undefined) updates.name = campaignName;
+      if (delayMin !== undefined) updates.delay_min = delayMin;
+      if (delayMax !== undefined) updates.delay_max = delayMax;
+
+      const templateChanged = template !== undefined || followUps !== undefined;
+      if (templateChanged) {
+        // Campaigns created before versioning have no stored copy of their template yet
+        await saveTemplateVersion(campaign);
+        Object.assign(updates, {
+          template_subject: template?.subject ?? campaign.template_subject,
+          template_body: template?.body ?? campaign.template_body,
+          sequence_steps: followUps ? toSequenceSteps(followUps) : campaign.sequence_steps,
+          template_version: (campaign.template_version || 1) + 1,
+        });
+      }
+
+      // Only while still editable, in case the campaign was resumed meanwhile
+      const { data: updated, error } = await supabase
+        .from('campaigns')
+        .update(updates)
+        .eq('id', campaignId)
+        .in('status', EDITABLE_STATUSES)
+        .select('*');
+      if (error) throw error;
+      if (!updated?.length) {
+        return res.status(409).json({ success: false, error: 'Campaign was started while being edited', code: 'CAMPAIGN_NOT_EDITABLE' });
+      }
+      const edited = updated[0];
+
+      if (templateChanged) await saveTemplateVersion(edited);
+      const cancelledFollowUps = followUps ? await cancelRemovedSteps(campaignId, followUps.length) : 0;
+
+      let recipients = null;
+      if (quality) {
+        const suppressed = await getSuppressedEmails(userId, quality.contacts.map(c => c.email));
+        recipients = await replaceRecipients(
+          edited,
+          quality.contacts,
+          contact => suppressed.get(String(contact.email).toLowerCase().trim())
+        );
+      }
+      if (quality || cancelledFollowUps) {
+        await supabase
+          .from('campaigns')
+          .update(await refreshCampaignCounts(campaignId))
+          .eq('id', campaignId);
+      }
+
+      console.log(`✏️ Campaign ${campaignId} edited (template v${edited.template_version || 1})`);
+
+      res.json({
+        success: true,
+        campaignId,
+        status: edited.status,
+        templateVersion: edited.template_version || 1,
+        recipients,
+        cancelledFollowUps,
+      });
+    } catch (err) {
+      if (err.code === 'TOO_MANY_CONTACTS') {
+        return res.status(400).json({ success: false, error: err.message, code: err.code });
+      }
+      console.error('Campaign edit error:', err);
+      res.status(500).json({ success: false, error: 'Failed to update campaign' });
+    }
+  }
+);
+
+/**
+ * GET /api/campaign/:campaignId/template-versions
+ * Every template the campaign has used, with how many emails each one sent
+ */
+router.get('/:campaignId/template-versions',
+  requireAuth,
+  param('campaignId').isUUID().withMessage('Valid campaign ID required'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { data: campaign } = await supabase
+        .from('campaigns')
+        .select('id, template_version')
+        .eq('id', req.params.campaignId)
+        .eq('user_id', req.user.id)
+        .maybeSingle();
+      if (!campaign) {
+        return res.status(404).json({ success: false, error: 'Campaign not found' });
+      }
+
+      res.json({
+        success: true,
+        currentVersion: campaign.template_version || 1,
+        versions: await getTemplateVersions(campaign.id),
+      });
+    } catch (err) {
+      console.error('Template versions fetch error:', err);
+      res.status(500).json({ success: false, error: 'Failed to fetch template versions' });
+    }
+  }
+);
+
+/**
+ * GET /api/campaign/:campaignId/events
+ * Audit trail of status changes, newest first: who (actor), why (reason) and when
+ */
+router.get('/:campaignId/events',
+  requireAuth,
+  param('campaignId').isUUID().withMessage('Valid campaign ID required'),
+  handleValidationErrors,
+  async (req, res) => {
+    const { page, limit, from } = parsePagination(req.query);
+
+    try {
+      const { data: campaign } = await supabase
+        .from('campaigns')
+        .select('id, status')
+        .eq('id', req.params.campaignId)
+        .eq('user_id', req.user.id)
+        .maybeSingle();
+      if (!campaign) {
+        return res.status(404).json({ success: false, error: 'Campaign not found' });
+      }
+
+      const { events, total } = await getCampaignEvents(campaign.id, { from, limit });
+      res.json({
+        success: true,
+        status: campaign.status,
+        events,
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+      });
+    } catch (err) {
+      console.error('Campaign events fetch error:', err);
+      res.status(500).json({ success: false, error: 'Failed to fetch campaign events' });
+    }
+  }
+);
+
+/**
+ * List the user's campaigns
+ * Query: page, limit, status (comma-separated), search (name), sort, order (asc|desc)
+ */
+router.get('/',
+  requireAuth,
+  async (req, res) => {
+    const { page, limit, from } = parsePagination(req.query);
+    const statuses = parseStatusFilter(req.query.status, CAMPAIGN_STATES);
+    if (!statuses) {
+      return res.status(400).json({ success: false, error: `status must be one of: ${CAMPAIGN_STATES.join(', ')}` });
+    }
+    const sortField = CAMPAIGN_SORT_FIELDS[req.query.sort || 'createdAt'];
+    if (!sortField) {
+      return res.status(400).json({ success: false, error: `sort must be one of: ${Object.keys(CAMPAIGN_SORT_FIELDS).join(', ')}` });
+    }
+    const ascending = req.query.order === 'asc';
+
+    try {
+      let query = supabase
+        .from('campaigns')
+        .select('id, name, status, total_emails, sent_count, failed_count, suppressed_count, error_message, cloned_from, scheduled_at, started_at, completed_at, created_at', { count: 'exact' })
+        .eq('user_id', req.user.id);
+
+      if (statuses.length) query = query.in('status', statuses);
+      if (req.query.search) {
+        const term = String(req.query.search).trim().replace(/[%_\\]/g, char => `\\${char}`);
+        query = query.ilike('name', `%${term}%`);
+      }
+
+      const { data, count, error } = await query
+        .order(sortField, { ascending, nullsFirst: false })
+        .order('created_at', { ascending: false })
+        .range(from, from + limit - 1);
+      if (error) throw error;
+
+      res.json({
+        success: true,
+        campaigns: data.map(campaign => ({
+          id: campaign.id,
+          name: campaign.name,
+          status: campaign.status,
+          total: campaign.total_emails,
+          sent: campaign.sent_count,
+          failed: campaign.failed_count,
+          suppressed: campaign.suppressed_count || 0,
+          progress: campaign.total_emails > 0 ? Math.round((campaign.sent_count + campaign.failed_count + (campaign.suppressed_count || 0)) / campaign.total_emails * 100) : 0,
+          errorMessage: campaign.error_message || null,
+          clonedFrom: campaign.cloned_from || null,
+          scheduledAt: campaign.scheduled_at,
+          startedAt: campaign.started_at,
+          completedAt: campaign.completed_at,
+          createdAt: campaign.created_at,
+        })),
+        pagination: { page, limit, total: count || 0, pages: Math.ceil((count || 0) / limit) },
+      });
+    } catch (err) {
+      console.error('Campaign list error:', err);
+      res.status(500).json({ success: false, error: 'Failed to fetch campaigns' });
+    }
+  }
+);
+
+/**
+ * Per-recipient delivery detail of one campaign
+ * Query: page, limit, status (comma-separated: pending, sent, failed, deferred, cancelled, suppressed)
+ */
+router.get('/:campaignId/emails',
+  requireAuth,
+  param('campaignId').isUUID().withMessage('Valid campaign ID required'),
+  handleValidationErrors,
+  async (req, res) => {
+    const { campaignId } = req.params;
+    const { page, limit, from } = parsePagination(req.query);
+    const statuses = parseStatusFilter(req.query.status, EMAIL_STATUSES);
+    if (!statuses) {
+      return res.status(400).json({ success: false, error: `status must be one of: ${EMAIL_STATUSES.join(', ')}` });
+    }
+
+    try {
+      const { data: campaign } = await supabase
+        .from('campaigns')
+        .select('id')
+        .eq('id', campaignId)
+        .eq('user_id', req.user.id)
+        .maybeSingle();
+      if (!campaign) {
+        return res.status(404).json({ success: false, error: 'Campaign not found' });
+      }
+
+      let query = supabase
+        .from('campaign_emails')
+        .select('id, email, status, step, subject, error_message, bounce_type, attempts, retry_at, sent_at, sender_account_id, template_version', { count: 'exact' })
+        .eq('campaign_id', campaignId);
+      if (statuses.length) query = query.in('status', statuses);
+
+      const { data, count, error } = await query
+        .order('sort_order')
+        .order('step')
+        .range(from, from + limit - 1);
+      if (error) throw error;
+
+      res.json({
+        success: true,
+        emails: data.map(row => ({
+          id: row.id,
+          email: row.email,
+          status: row.status,
+          step: row.step || 0,
+          // Personalised subject as sent; null until the row is sent
+          subject: row.subject || null,
+          errorMessage: row.error_message || null,
+          bounceType: row.bounce_type || null,
+          attempts: row.attempts || 0,
+          retryAt: row.retry_at,
+          sentAt: row.sent_at,
+          senderAccountId: row.sender_account_id || null,
+          templateVersion: row.template_version || null,
+        })),
+        pagination: { page, limit, total: count || 0, pages: Math.ceil((count || 0) / limit) },
+      });
+    } catch (err) {
+      console.error('Campaign emails fetch error:', err);
+      res.status(500).json({ success: false, error: 'Failed to fetch campaign emails' });
+    }
+  }
+);
+
+/**
+ * GET /api/campaign/:campaignId/export
+ * Stream every recipient row as CSV: contact_data columns, delivery status,
+ * bounce and tracking results. ?filter=failed|unsent narrows the export.
+ */
+router.get('/:campaignId/export',
+  requireAuth,
+  param('campaignId').isUUID().withMessage('Valid campaign ID required'),
+  handleValidationErrors,
+  async (req, res) => {
+    const { campaignId } = req.params;
+    const filter = req.query.filter || 'all';
+    if (!EXPORT_FILTERS.includes(filter)) {
+      return res.status(400).json({ success: false, error: `filter must be one of: ${EXPORT_FILTERS.join(', ')}` });
+    }
+
+    let campaign;
+    let contactColumns;
+    try {
+      ({ data: campaign } = await supabase
+        .from('campaigns')
+        .select('id, user_id, name')
+        .eq('id', campaignId)
+        .eq('user_id', req.user.id)
+        .maybeSingle());
+      if (!campaign) {
+        return res.status(404).json({ success: false, error: 'Campaign not found' });
+      }
+      contactColumns = await collectContactColumns(campaignId, filter);
+    } catch (err) {
+      console.error('Campaign export error:', err);
+      return res.status(500).json({ success: false, error: 'Failed to export campaign' });
+    }
+
+    const slug = (campaign.name || 'campaign').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'campaign';
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${slug}-${filter}-${new Date().toISOString().slice(0, 10)}.csv"`);
+
+    // pipeline handles backpressure, stops reading pages when the client goes away,
+    // and on a read error cuts the download short so it is not mistaken for a complete file
+    try {
+      await pipeline(Readable.from(streamCampaignCsv(campaign, { filter, contactColumns })), res);
+    } catch (err) {
+      if (err.code !== 'ERR_STREAM_PREMATURE_CLOSE') console.error('Campaign export stream error:', err);
+    }
+  }
+);
+
 /**
  * Get campaign status
  */
@@ -402,6 +1404,16 @@ router.get('/status/:campaignId',
         return res.status(404).json({ success: false, error: 'Campaign not found' });
       }
 
+      const retrying = await countDeferredEmails(campaignId);
+      const waitingForLocalWindow = await countWaitingForLocalWindow(campaignId);
+      const engagement = await getCampaignEngagement(campaignId, campaign.sent_count);
+      const { count: replied } = await supabase
+        .from('campaign_emails')
+        .select('id', { count: 'exact', head: true })
+        .eq('campaign_id', campaignId)
+        .eq('step', 0)
+        .not('replied_at', 'is', null);
+
       res.json({
         success: true,
         campaign: {
@@ -411,7 +1423,19 @@ router.get('/status/:campaignId',
           total: campaign.total_emails,
           sent: campaign.sent_count,
           failed: campaign.failed_count,
-          progress: campaign.total_emails > 0 ? Math.round((campaign.sent_count + campaign.failed_count) / campaign.total_emails * 100) : 0,
+          suppressed: campaign.suppressed_count || 0,
+          retrying,
+          waitingForLocalWindow,
+          replied: replied || 0,
+          ...engagement,
+          sequenceSteps: (campaign.sequence_steps?.length || 0) + 1,
+          progress: campaign.total_emails > 0 ? Math.round((campaign.sent_count + campaign.failed_count + (campaign.suppressed_count || 0)) / campaign.total_emails * 100) : 0,
+          scheduledAt: campaign.scheduled_at,
+          sendingWindow: campaign.sending_window,
+          recipientTimezone: !!campaign.use_recipient_timezone,
+          nextEmailAt: campaign.next_email_at,
+          errorMessage: campaign.error_message || null,
+          autoPaused: campaign.breaker_trip || null,
           startedAt: campaign.started_at,
           completedAt: campaign.completed_at,
         },
@@ -423,7 +1447,4 @@ router.get('/status/:campaignId',
   }
 );
 
-
-// ...existing code...
-
 export default router;
@@ -0,0 +1,603 @@
+/**
+ * Contact Routes
+ * Saved contacts, lists, tags and segments, plus CSV import with
+ * header normalisation and a per-row validation report
+ */
+
+import express from 'express';
+import multer from 'multer';
+import { body, param, handleValidationErrors } from '../middleware/validation.js';
+import { CONFIG } from '../config/index.js';
+import { redisCampaignLimiter } from '../services/redis.js';
+import { supabase } from '../services/supabase.js';
+import { parseContactsCsv, buildImportReport } from '../services/contact-import.js';
+import { QUALITY_POLICIES } from '../services/contact-quality.js';
+import { LIMITS } from '../services/campaign-processor.js';
+import {
+  CONTACT_SELECT,
+  toContactRow,
+  toCampaignContact,
+  normalizeTags,
+  normalizeSegment,
+  resolveAudience,
+  saveContacts,
+  getList,
+} from '../services/contacts.js';
+
+const router = express.Router();
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: CONFIG.maxFileSize, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const isCsv = /\.csv$/i.test(file.originalname)
+      || ['text/csv', 'application/vnd.ms-excel', 'text/plain'].includes(file.mimetype);
+    cb(null, isCsv);
+  },
+});
+
+function parseMapping(value) {
+  if (!value) return {};
+  if (typeof value === 'object') return value;
+  const mapping = JSON.parse(value);
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw new Error('mapping must be an object');
+  }
+  return mapping;
+}
+
+const MAX_PAGE_SIZE = 100;
+
+const segmentValidator = (segment) => {
+  normalizeSegment(segment);
+  return true;
+};
+
+const fieldsValidator = (fields) => {
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    throw new Error('fields must be an object');
+  }
+  if (Object.keys(fields).length > 50) throw new Error('A contact can have at most 50 custom fields');
+  const invalid = Object.values(fields).some(value => value !== null && typeof value === 'object');
+  if (invalid) throw new Error('Custom field values must be strings, numbers or booleans');
+  return true;
+};
+
+/**
+ * Import contacts from a CSV upload (multipart field "file").
+ * Optional "mapping" field: JSON object of CSV header -> variable name,
+ * e.g. {"E-mail Address": "email", "Org": "company"}
+ * Optional "listId" field saves the imported contacts into that list.
+ * Optional "qualityPolicy" (warn | skip | reject) and "normalizeGmail" fields
+ * control how role accounts and disposable domains are handled.
+ */
+router.post('/import',
+  redisCampaignLimiter,
+  upload.single('file'),
+  async (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: 'A CSV file is required (field "file")' });
+    }
+
+    let mapping;
+    try {
+      mapping = parseMapping(req.body.mapping);
+    } catch {
+      return res.status(400).json({ success: false, error: 'mapping must be a JSON object of header -> variable' });
+    }
+
+    const { qualityPolicy = 'warn' } = req.body;
+    if (!QUALITY_POLICIES.includes(qualityPolicy)) {
+      return res.status(400).json({ success: false, error: `qualityPolicy must be one of: ${QUALITY_POLICIES.join(', ')}` });
+    }
+    const normalizeGmail = req.body.normalizeGmail === true || req.body.normalizeGmail === 'true';
+
+    try {
+      const rows = await parseContactsCsv(req.file.buffer, mapping);
+
+      if (rows.length === 0) {
+        return res.status(400).json({ success: false, error: 'The CSV file has no rows' });
+      }
+      if (rows.length > LIMITS.MAX_CONTACTS_PER_CAMPAIGN) {
+        return res.status(400).json({
+          success: false,
+          error: `CSV has ${rows.length} rows; the maximum is ${LIMITS.MAX_CONTACTS_PER_CAMPAIGN}`,
+        });
+      }
+      if (!Object.prototype.hasOwnProperty.call(rows[0], 'email')) {
+        return res.status(400).json({
+          success: false,
+          error: 'No email column found. Add an "Email" header or map a column to "email".',
+          code: 'NO_EMAIL_COLUMN',
+        });
+      }
+
+      const { listId } = req.body;
+      if (listId && !(await getList(req.user.id, listId))) {
+        return res.status(404).json({ success: false, error: 'Contact list not found' });
+      }
+
+      const { contacts, report, rejected } = await buildImportReport(req.user.id, rows, {
+        policy: qualityPolicy,
+        normalizeGmail,
+      });
+
+      if (rejected) {
+        return res.status(422).json({
+          success: false,
+          error: 'The file has invalid, duplicate, role-account or disposable addresses',
+          code: 'QUALITY_CHECK_FAILED',
+          report,
+        });
+      }
+
+      let saved = null;
+      if (listId) {
+        saved = (await saveContacts(req.user.id, contacts, listId)).length;
+      }
+
+      console.log(`📥 Contacts imported: ${report.imported}/${report.total}`);
+
+      res.json({
+        success: true,
+        columns: Object.keys(rows[0]),
+        contacts,
+        report,
+        ...(listId && { listId, saved }),
+      });
+    } catch (err) {
+      console.error('Contact import error:', err);
+      res.status(500).json({ success: false, error: 'Failed to import contacts' });
+    }
+  }
+);
+
+// ===================
+// LISTS
+// ===================
+
+/**
+ * All lists with their contact counts
+ */
+router.get('/lists', async (req, res) => {
+  try {
+    const { data: lists, error } = await supabase
+      .from('contact_lists')
+      .select('*')
+      .eq('user_id', req.user.id)
+      .order('created_at', { ascending: false });
+    if (error) throw error;
+
+    const counts = await Promise.all(lists.map(list => supabase
+      .from('contact_list_members')
+      .select('contact_id', { count: 'exact', head: true })
+      .eq('list_id', list.id)));
+
+    res.json({
+      success: true,
+      lists: lists.map((list, index) => ({ ...list, contactCount: counts[index].count || 0 })),
+    });
+  } catch (err) {
+    console.error('List fetch error:', err);
+    res.status(500).json({ success: false, error: 'Failed to fetch lists' });
+  }
+});
+
+router.post('/lists',
+  body('name').trim().notEmpty().withMessage('List name is required')
+    .isLength({ max: 200 }).withMessage('List name must be at most 200 characters'),
+  body('description').optional({ values: 'null' }).isString().isLength({ max: 1000 }),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { data: list, error } = await supabase
+        .from('contact_lists')
+        .insert({ user_id: req.user.id, name: req.body.name, description: req.body.description || null })
+        .select('*')
+        .single();
+      if (error) throw error;
+
+      res.status(201).json({ success: true, list });
+    } catch (err) {
+      console.error('List create error:', err);
+      res.status(500).json({ success: false, error: 'Failed to create list' });
+    }
+  }
+);
+
+router.put('/lists/:listId',
+  param('listId').isUUID().withMessage('Valid list ID required'),
+  body('name').optional().trim().notEmpty().withMessage('List name cannot be empty')
+    .isLength({ max: 200 }).withMessage('List name must be at most 200 characters'),
+  body('description').optional({ values: 'null' }).isString().isLength({ max: 1000 }),
+  handleValidationErrors,
+  async (req, res) => {
+    const updates = {};
+    if (req.body.name !== undefined) updates.name = req.body.name;
+    if (req.body.description !== undefined) updates.description = req.body.description;
+
+    try {
+      const { data: list, error } = await supabase
+        .from('contact_lists')
+        .update(updates)
+        .eq('id', req.params.listId)
+        .eq('user_id', req.user.id)
+        .select('*')
+        .maybeSingle();
+      if (error) throw error;
+      if (!list) return res.status(404).json({ success: false, error: 'Contact list not found' });
+
+      res.json({ success: true, list });
+    } catch (err) {
+      console.error('List update error:', err);
+      res.status(500).json({ success: false, error: 'Failed to update list' });
+    }
+  }
+);
+
+/**
+ * Delete a list. Its contacts are kept.
+ */
+router.delete('/lists/:listId',
+  param('listId').isUUID().withMessage('Valid list ID required'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { data: deleted, error } = await supabase
+        .from('contact_lists')
+        .delete()
+        .eq('id', req.params.listId)
+        .eq('user_id', req.user.id)
+        .select('id');
+      if (error) throw error;
+      if (!deleted?.length) return res.status(404).json({ success: false, error: 'Contact list not found' });
+
+      res.json({ success: true, message: 'List deleted' });
+    } catch (err) {
+      console.error('List delete error:', err);
+      res.status(500).json({ success: false, error: 'Failed to delete list' });
+    }
+  }
+);
+
+/**
+ * Add contacts to a list: either existing contactIds, or contact objects
+ * that are created/merged by email first
+ */
+router.post('/lists/:listId/contacts',
+  redisCampaignLimiter,
+  param('listId').isUUID().withMessage('Valid list ID required'),
+  body('contactIds').optional().isArray({ min: 1, max: LIMITS.MAX_CONTACTS_PER_CAMPAIGN }),
+  body('contactIds.*').isUUID().withMessage('contactIds must be UUIDs'),
+  body('contacts').optional().isArray({ min: 1, max: LIMITS.MAX_CONTACTS_PER_CAMPAIGN })
+    .withMessage(`Contacts must be an array with 1-${LIMITS.MAX_CONTACTS_PER_CAMPAIGN} items`),
+  body('contacts.*.email').isEmail().withMessage('Each contact needs a valid email'),
+  handleValidationErrors,
+  async (req, res) => {
+    const { listId } = req.params;
+    const { contactIds, contacts } = req.body;
+    const userId = req.user.id;
+
+    if (!contactIds && !contacts) {
+      return res.status(400).json({ success: false, error: 'Provide contactIds or contacts' });
+    }
+
+    try {
+      if (!(await getList(userId, listId))) {
+        return res.status(404).json({ success: false, error: 'Contact list not found' });
+      }
+
+      let added = 0;
+      if (contacts) {
+        added += (await saveContacts(userId, contacts, listId)).length;
+      }
+      if (contactIds) {
+        // Only the user's own contacts can be added
+        const { data: owned, error } = await supabase
+          .from('contacts')
+          .select('id')
+          .eq('user_id', userId)
+          .in('id', contactIds);
+        if (error) throw error;
+
+        if (owned.length > 0) {
+          const { error: memberError } = await supabase
+            .from('contact_list_members')
+            .upsert(
+              owned.map(contact => ({ list_id: listId, contact_id: contact.id, user_id: userId })),
+              { onConflict: 'list_id,contact_id', ignoreDuplicates: true }
+            );
+          if (memberError) throw memberError;
+        }
+        added += owned.length;
+      }
+
+      res.json({ success: true, added });
+    } catch (err) {
+      console.error('List add error:', err);
+      res.status(500).json({ success: false, error: 'Failed to add contacts to list' });
+    }
+  }
+);
+
+router.delete('/lists/:listId/contacts',
+  param('listId').isUUID().withMessage('Valid list ID required'),
+  body('contactIds').isArray({ min: 1 }).withMessage('contactIds must be a non-empty array'),
+  body('contactIds.*').isUUID().withMessage('contactIds must be UUIDs'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { data: removed, error } = await supabase
+        .from('contact_list_members')
+        .delete()
+        .eq('list_id', req.params.listId)
+        .eq('user_id', req.user.id)
+        .in('contact_id', req.body.contactIds)
+        .select('contact_id');
+      if (error) throw error;
+
+      res.json({ success: true, removed: removed.length });
+    } catch (err) {
+      console.error('List remove error:', err);
+      res.status(500).json({ success: false, error: 'Failed to remove contacts from list' });
+    }
+  }
+);
+
+// ===================
+// SEGMENTS
+// ===================
+
+/**
+ * Preview who a segment matches, optionally within a list
+ */
+router.post('/segments/preview',
+  body('segment').exists().withMessage('Segment is required').bail().custom(segmentValidator),
+  body('listId').optional().isUUID().withMessage('Valid list ID required'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const contacts = await resolveAudience(req.user.id, req.body);
+      res.json({
+        success: true,
+        segment: normalizeSegment(req.body.segment),
+        count: contacts.length,
+        sample: contacts.slice(0, 20),
+      });
+    } catch (err) {
+      if (err.code === 'LIST_NOT_FOUND') {
+        return res.status(404).json({ success: false, error: err.message });
+      }
+      console.error('Segment preview error:', err);
+      res.status(500).json({ success: false, error: 'Failed to preview segment' });
+    }
+  }
+);
+
+// ===================
+// CONTACTS
+// ===================
+
+/**
+ * List contacts with pagination.
+ * Query: page, limit, search (email/name/company), tag, listId
+ */
+router.get('/', async (req, res) => {
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || 50));
+  const { search, tag, listId } = req.query;
+
+  try {
+    let query;
+    if (listId) {
+      query = supabase
+        .from('contacts')
+        .select(`${CONTACT_SELECT}, contact_list_members!inner(list_id)`, { count: 'exact' })
+        .eq('contact_list_members.list_id', listId);
+    } else {
+      query = supabase.from('contacts').select(CONTACT_SELECT, { count: 'exact' });
+    }
+    query = query.eq('user_id', req.user.id);
+
+    if (tag) query = query.contains('tags', [String(tag).toLowerCase()]);
+    if (search) {
+      // Characters that would break the or() filter syntax are dropped, LIKE wildcards escaped
+      const term = String(search).replace(/[,()"\\]/g, ' ').trim().replace(/[%_]/g, char => `\\${char}`);
+      query = query.or(`email.ilike.%${term}%,name.ilike.%${term}%,first_name.ilike.%${term}%,last_name.ilike.%${term}%,company.ilike.%${term}%`);
+    }
+
+    const from = (page - 1) * limit;
+    const { data, count, error } = await query
+      .order('created_at', { ascending: false })
+      .range(from, from + limit - 1);
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      contacts: data.map(({ contact_list_members, ...contact }) => contact),
+      pagination: { page, limit, total: count || 0, pages: Math.ceil((count || 0) / limit) },
+    });
+  } catch (err) {
+    console.error('Contacts fetch error:', err);
+    res.status(500).json({ success: false, error: 'Failed to fetch contacts' });
+  }
+});
+
+router.post('/',
+  body('email').isEmail().withMessage('Valid email is required'),
+  body('fields').optional().custom(fieldsValidator),
+  body('tags').optional().isArray().withMessage('tags must be an array'),
+  body('listId').optional().isUUID().withMessage('Valid list ID required'),
+  handleValidationErrors,
+  async (req, res) => {
+    const { listId, ...input } = req.body;
+    const row = toContactRow(req.user.id, input);
+
+    try {
+      if (listId && !(await getList(req.user.id, listId))) {
+        return res.status(404).json({ success: false, error: 'Contact list not found' });
+      }
+
+      const { data: contact, error } = await supabase
+        .from('contacts')
+        .insert({ ...row, tags: row.tags || [] })
+        .select(CONTACT_SELECT)
+        .single();
+
+      if (error?.code === '23505') {
+        return res.status(409).json({ success: false, error: 'A contact with this email already exists', code: 'DUPLICATE_CONTACT' });
+      }
+      if (error) throw error;
+
+      if (listId) {
+        await supabase
+          .from('contact_list_members')
+          .insert({ list_id: listId, contact_id: contact.id, user_id: req.user.id });
+      }
+
+      res.status(201).json({ success: true, contact });
+    } catch (err) {
+      console.error('Contact create error:', err);
+      res.status(500).json({ success: false, error: 'Failed to create contact' });
+    }
+  }
+);
+
+router.get('/:contactId',
+  param('contactId').isUUID().withMessage('Valid contact ID required'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { data: contact, error } = await supabase
+        .from('contacts')
+        .select(`${CONTACT_SELECT}, contact_list_members(list_id)`)
+        .eq('id', req.params.contactId)
+        .eq('user_id', req.user.id)
+        .maybeSingle();
+      if (error) throw error;
+      if (!contact) return res.status(404).json({ success: false, error: 'Contact not found' });
+
+      const { contact_list_members: memberships, ...rest } = contact;
+      res.json({
+        success: true,
+        contact: { ...rest, listIds: (memberships || []).map(m => m.list_id) },
+        variables: toCampaignContact(rest),
+      });
+    } catch (err) {
+      console.error('Contact fetch error:', err);
+      res.status(500).json({ success: false, error: 'Failed to fetch contact' });
+    }
+  }
+);
+
+/**
+ * Update a contact. `fields` is merged into the existing custom fields
+ * (set a field to null to remove it); `tags` replaces the tag list.
+ */
+router.put('/:contactId',
+  param('contactId').isUUID().withMessage('Valid contact ID required'),
+  body('email').optional().isEmail().withMessage('Valid email is required'),
+  body('fields').optional().custom(fieldsValidator),
+  body('tags').optional().isArray().withMessage('tags must be an array'),
+  handleValidationErrors,
+  async (req, res) => {
+    const userId = req.user.id;
+
+    try {
+      const { data: existing } = await supabase
+        .from('contacts')
+        .select(CONTACT_SELECT)
+        .eq('id', req.params.contactId)
+        .eq('user_id', userId)
+        .maybeSingle();
+      if (!existing) return res.status(404).json({ success: false, error: 'Contact not found' });
+
+      const row = toContactRow(userId, { ...req.body, email: req.body.email || existing.email });
+      const customFields = { ...(existing.custom_fields || {}), ...row.custom_fields };
+      for (const [key, value] of Object.entries(customFields)) {
+        if (value === null) delete customFields[key];
+      }
+
+      const { user_id: _userId, ...updates } = row;
+      const { data: contact, error } = await supabase
+        .from('contacts')
+        .update({ ...updates, custom_fields: customFields, updated_at: new Date().toISOString() })
+        .eq('id', existing.id)
+        .eq('user_id', userId)
+        .select(CONTACT_SELECT)
+        .single();
+
+      if (error?.code === '23505') {
+        return res.status(409).json({ success: false, error: 'A contact with this email already exists', code: 'DUPLICATE_CONTACT' });
+      }
+      if (error) throw error;
+
+      res.json({ success: true, contact });
+    } catch (err) {
+      console.error('Contact update error:', err);
+      res.status(500).json({ success: false, error: 'Failed to update contact' });
+    }
+  }
+);
+
+router.delete('/:contactId',
+  param('contactId').isUUID().withMessage('Valid contact ID required'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { data: deleted, error } = await supabase
+        .from('contacts')
+        .delete()
+        .eq('id', req.params.contactId)
+        .eq('user_id', req.user.id)
+        .select('id');
+      if (error) throw error;
+      if (!deleted?.length) return res.status(404).json({ success: false, error: 'Contact not found' });
+
+      res.json({ success: true, message: 'Contact deleted' });
+    } catch (err) {
+      console.error('Contact delete error:', err);
+      res.status(500).json({ success: false, error: 'Failed to delete contact' });
+    }
+  }
+);
+
+/**
+ * Add or remove tags on many contacts at once
+ */
+router.post('/tags',
+  body('contactIds').isArray({ min: 1, max: LIMITS.MAX_CONTACTS_PER_CAMPAIGN }).withMessage('contactIds must be a non-empty array'),
+  body('contactIds.*').isUUID().withMessage('contactIds must be UUIDs'),
+  body('add').optional().isArray(),
+  body('remove').optional().isArray(),
+  handleValidationErrors,
+  async (req, res) => {
+    const add = normalizeTags(req.body.add || []);
+    const remove = normalizeTags(req.body.remove || []);
+
+    try {
+      const { data: contacts, error } = await supabase
+        .from('contacts')
+        .select('id, tags')
+        .eq('user_id', req.user.id)
+        .in('id', req.body.contactIds);
+      if (error) throw error;
+
+      await Promise.all(contacts.map(contact => supabase
+        .from('contacts')
+        .update({
+          tags: normalizeTags([...(contact.tags || []), ...add]).filter(tag => !remove.includes(tag)),
+          updated_at: new Date().toISOString(),
+        })
+        .eq('id', contact.id)
+        .eq('user_id', req.user.id)));
+
+      res.json({ success: true, updated: contacts.length });
+    } catch (err) {
+      console.error('Contact tag error:', err);
+      res.status(500).json({ success: false, error: 'Failed to update tags' });
+    }
+  }
+);
+
+export default router;
@@ -7,28 +7,45 @@ import {
   sanitizeHtml 
 } from '../services/helpers.js';
 import { createTransporterFromCredentials } from '../services/email.js';
+import { getSenderCredentials } from '../services/sender-accounts.js';
 
 const router = express.Router();
 
+/**
+ * Use a saved sender account when senderAccountId is given, otherwise the inline credentials.
+ * Returns { credentials } or { status, error }
+ */
+async function resolveCredentials(req) {
+  const { senderAccountId, credentials } = req.body;
+  if (senderAccountId) {
+    const saved = await getSenderCredentials(req.user.id, senderAccountId);
+    return saved ? { credentials: saved } : { status: 404, error: 'Sender account not found' };
+  }
+  const credError = validateCredentials(credentials);
+  return credError ? { status: 400, error: credError } : { credentials };
+}
+
 // Send a single email
 router.post('/single', 
   emailLimiter,
   body('email').isEmail().withMessage('Valid email is required'),
   body('template.subject').notEmpty().withMessage('Template subject is required'),
   body('template.body').notEmpty().withMessage('Template body is required'),
-  body('credentials').notEmpty().withMessage('SMTP credentials are required'),
+  body('senderAccountId').optional().isUUID().withMessage('Valid sender account ID required'),
+  body('credentials').if(body('senderAccountId').not().exists())
+    .notEmpty().withMessage('SMTP credentials or a senderAccountId are required'),
   handleValidationErrors,
   async (req, res) => {
-    const { email, template, senderName, credentials } = req.body;
-    
-    const credError = validateCredentials(credentials);
-    if (credError) {
-      return res.status(400).json({ success: false, error: credError });
-    }
+    const { email, template, senderName } = req.body;
     
     let transporter;
     
     try {
+      const { credentials, status, error } = await resolveCredentials(req);
+      if (error) {
+        return res.status(status).json({ success: false, error });
+      }
+
       transporter = createTransporterFromCredentials(credentials);
       await transporter.verify();
       
@@ -67,18 +84,20 @@ router.post('/test',
   body('email').isEmail().withMessage('Valid email is required'),
   body('template.subject').notEmpty().withMessage('Template subject is required'),
   body('template.body').notEmpty().withMessage('Template body is required'),
-  body('credentials').notEmpty().withMessage('SMTP credentials are required'),
+  body('senderAccountId').optional().isUUID().withMessage('Valid sender account ID required'),
+  body('credentials').if(body('senderAccountId').not().exists())
+    .notEmpty().withMessage('SMTP credentials or a senderAccountId are required'),
   handleValidationErrors,
   async (req, res) => {
-    const { email, template, senderName, credentials } = req.body;
-    
-    const credError = validateCredentials(credentials);
-    if (credError) {
-      return res.status(400).json({ error: credError });
-    }
+    const { email, template, senderName } = req.body;
     
     let transporter;
     try {
+      const { credentials, status, error } = await resolveCredentials(req);
+      if (error) {
+        return res.status(status).json({ error });
+      }
+
       transporter = createTransporterFromCredentials(credentials);
       
       const sanitizedSubject = sanitizeEmailHeader(template.subject);
@@ -0,0 +1,486 @@
+/**
+ * Sender Routes
+ * Encrypted SMTP sender accounts, warm-up plans and deliverability checks for the sending domain
+ */
+
+import express from 'express';
+import crypto from 'crypto';
+import { body, param, handleValidationErrors } from '../middleware/validation.js';
+import { redisCampaignLimiter } from '../services/redis.js';
+import { supabase } from '../services/supabase.js';
+import { createTransporterFromCredentials } from '../services/email.js';
+import { runSenderPreflight } from '../services/sender-preflight.js';
+import { isEncryptionConfigured } from '../services/secret-box.js';
+import {
+  SENDER_ACCOUNT_SELECT,
+  SENDER_ACCOUNT_DEFAULTS,
+  encryptSenderPassword,
+  getSenderAccount,
+  getSenderCredentials,
+  toPublicSenderAccount,
+} from '../services/sender-accounts.js';
+import { getSenderQuota, getSenderUsage } from '../services/sender-pool.js';
+import { WARMUP_LIMITS, normalizeWarmupPlan, getWarmupSchedule } from '../services/warmup.js';
+
+const router = express.Router();
+
+// Campaigns that may still send (drafts and errored ones can be launched or resumed)
+const SENDING_CAMPAIGN_STATUSES = ['draft', 'scheduled', 'running', 'paused', 'error'];
+
+async function verifySmtp(credentials) {
+  const transporter = createTransporterFromCredentials(credentials);
+  try {
+    await transporter.verify();
+    return null;
+  } catch (err) {
+    return err.message;
+  } finally {
+    transporter.close();
+  }
+}
+
+function requireEncryption(req, res, next) {
+  if (!isEncryptionConfigured()) {
+    return res.status(503).json({
+      success: false,
+      error: 'Sender accounts are unavailable: SENDER_ENCRYPTION_KEYS is not configured',
+      code: 'ENCRYPTION_NOT_CONFIGURED',
+    });
+  }
+  next();
+}
+
+// ===================
+// SENDER ACCOUNTS
+// ===================
+
+router.get('/accounts', async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('sender_accounts')
+      .select(SENDER_ACCOUNT_SELECT)
+      .eq('user_id', req.user.id)
+      .order('created_at', { ascending: true });
+    if (error) throw error;
+
+    const accounts = await Promise.all(data.map(async account => ({
+      ...toPublicSenderAccount(account),
+      usage: await getSenderUsage(account.id),
+    })));
+    res.json({ success: true, accounts });
+  } catch (err) {
+    console.error('Sender accounts fetch error:', err);
+    res.status(500).json({ success: false, error: 'Failed to fetch sender accounts' });
+  }
+});
+
+/**
+ * Save an SMTP account. The connection is verified first and the
+ * password is stored encrypted; it is never returned by the API.
+ */
+router.post('/accounts',
+  redisCampaignLimiter,
+  requireEncryption,
+  body('smtpHost').trim().notEmpty().withMessage('SMTP host is required'),
+  body('smtpPort').optional().isInt({ min: 1, max: 65535 }).withMessage('SMTP port must be 1-65535'),
+  body('emailUser').isEmail().withMessage('Email address is required'),
+  body('emailPass').notEmpty().withMessage('Email password is required'),
+  body('senderName').optional().isString().isLength({ max: 200 }),
+  body('label').optional().isString().isLength({ max: 200 }),
+  body('dailyLimit').optional().isInt({ min: 1, max: 10000 }).withMessage('dailyLimit must be 1-10000'),
+  body('hourlyLimit').optional({ values: 'null' }).isInt({ min: 1, max: 1000 }).withMessage('hourlyLimit must be 1-1000'),
+  body('weight').optional().isInt({ min: 1, max: 100 }).withMessage('weight must be 1-100'),
+  handleValidationErrors,
+  async (req, res) => {
+    const {
+      smtpHost,
+      smtpPort = 587,
+      emailUser,
+      emailPass,
+      senderName,
+      label,
+      dailyLimit = SENDER_ACCOUNT_DEFAULTS.DAILY_LIMIT,
+      hourlyLimit = SENDER_ACCOUNT_DEFAULTS.HOURLY_LIMIT,
+      weight = SENDER_ACCOUNT_DEFAULTS.WEIGHT,
+    } = req.body;
+    const userId = req.user.id;
+
+    const smtpError = await verifySmtp({ smtpHost, smtpPort, emailUser, emailPass });
+    if (smtpError) {
+      return res.status(400).json({ success: false, error: `SMTP connection failed: ${smtpError}` });
+    }
+
+    const accountId = crypto.randomUUID();
+    try {
+      const { data: account, error } = await supabase
+        .from('sender_accounts')
+        .insert({
+          id: accountId,
+          user_id: userId,
+          label: label || emailUser,
+          email_user: emailUser,
+          smtp_host: smtpHost,
+          smtp_port: Number(smtpPort),
+          sender_name: senderName || null,
+          daily_limit: Number(dailyLimit),
+          hourly_limit: hourlyLimit === null ? null : Number(hourlyLimit),
+          weight: Number(weight),
+          encrypted_password: encryptSenderPassword(userId, accountId, emailPass),
+          verified_at: new Date().toISOString(),
+        })
+        .select(SENDER_ACCOUNT_SELECT)
+        .single();
+      if (error) throw error;
+
+      console.log('🔐 Sender account saved:', accountId);
+      res.status(201).json({ success: true, account: toPublicSenderAccount(account) });
+    } catch (err) {
+      console.error('Sender account create error:', err);
+      res.status(500).json({ success: false, error: 'Failed to save sender account' });
+    }
+  }
+);
+
+/**
+ * Update an account. Connection details are re-verified when they change;
+ * omit emailPass to keep the stored password.
+ */
+router.put('/accounts/:accountId',
+  redisCampaignLimiter,
+  requireEncryption,
+  param('accountId').isUUID().withMessage('Valid sender account ID required'),
+  body('smtpHost').optional().trim().notEmpty().withMessage('SMTP host cannot be empty'),
+  body('smtpPort').optional().isInt({ min: 1, max: 65535 }).withMessage('SMTP port must be 1-65535'),
+  body('emailUser').optional().isEmail().withMessage('Valid email address required'),
+  body('emailPass').optional().notEmpty().withMessage('Email password cannot be empty'),
+  body('senderName').optional({ values: 'null' }).isString().isLength({ max: 200 }),
+  body('label').optional().isString().isLength({ max: 200 }),
+  body('dailyLimit').optional().isInt({ min: 1, max: 10000 }).withMessage('dailyLimit must be 1-10000'),
+  body('hourlyLimit').optional({ values: 'null' }).isInt({ min: 1, max: 1000 }).withMessage('hourlyLimit must be 1-1000'),
+  body('weight').optional().isInt({ min: 1, max: 100 }).withMessage('weight must be 1-100'),
+  handleValidationErrors,
+  async (req, res) => {
+    const { accountId } = req.params;
+    const userId = req.user.id;
+
+    try {
+      const current = await getSenderCredentials(userId, accountId);
+      if (!current) return res.status(404).json({ success: false, error: 'Sender account not found' });
+
+      const next = {
+        smtpHost: req.body.smtpHost ?? current.smtpHost,
+        smtpPort: req.body.smtpPort ?? current.smtpPort,
+        emailUser: req.body.emailUser ?? current.emailUser,
+        emailPass: req.body.emailPass ?? current.emailPass,
+      };
+      const connectionChanged = ['smtpHost', 'smtpPort', 'emailUser', 'emailPass']
+        .some(field => req.body[field] !== undefined && String(req.body[field]) !== String(current[field]));
+
+      const updates = {
+        email_user: next.emailUser,
+        smtp_host: next.smtpHost,
+        smtp_port: Number(next.smtpPort),
+        updated_at: new Date().toISOString(),
+      };
+      if (req.body.senderName !== undefined) updates.sender_name = req.body.senderName;
+      if (req.body.label !== undefined) updates.label = req.body.label;
+      if (req.body.dailyLimit !== undefined) updates.daily_limit = Number(req.body.dailyLimit);
+      if (req.body.hourlyLimit !== undefined) {
+        updates.hourly_limit = req.body.hourlyLimit === null ? null : Number(req.body.hourlyLimit);
+      }
+      if (req.body.weight !== undefined) updates.weight = Number(req.body.weight);
+
+      if (connectionChanged) {
+        const smtpError = await verifySmtp(next);
+        if (smtpError) {
+          return res.status(400).json({ success: false, error: `SMTP connection failed: ${smtpError}` });
+        }
+        updates.verified_at = new Date().toISOString();
+        updates.last_error = null;
+        updates.consecutive_failures = 0;
+        updates.cooldown_until = null;
+      }
+      if (req.body.emailPass !== undefined) {
+        updates.encrypted_password = encryptSenderPassword(userId, accountId, req.body.emailPass);
+      }
+
+      const { data: account, error } = await supabase
+        .from('sender_accounts')
+        .update(updates)
+        .eq('id', accountId)
+        .eq('user_id', userId)
+        .select(SENDER_ACCOUNT_SELECT)
+        .single();
+      if (error) throw error;
+
+      res.json({ success: true, account: toPublicSenderAccount(account) });
+    } catch (err) {
+      console.error('Sender account update error:', err);
+      res.status(500).json({ success: false, error: 'Failed to update sender account' });
+    }
+  }
+);
+
+/**
+ * Delete an account that no campaign which can still send is using
+ */
+router.delete('/accounts/:accountId',
+  param('accountId').isUUID().withMessage('Valid sender account ID required'),
+  handleValidationErrors,
+  async (req, res) => {
+    const { accountId } = req.params;
+    const userId = req.user.id;
+
+    try {
+      if (!(await getSenderAccount(userId, accountId))) {
+        return res.status(404).json({ success: false, error: 'Sender account not found' });
+      }
+
+      const { count } = await supabase
+        .from('campaigns')
+        .select('id', { count: 'exact', head: true })
+        .eq('user_id', userId)
+        .or(`sender_account_id.eq.${accountId},sender_account_ids.cs.{${accountId}}`)
+        .in('status', SENDING_CAMPAIGN_STATUSES);
+      if (count > 0) {
+        return res.status(409).json({
+          success: false,
+          error: `This account is used by ${count} campaign(s) that can still send. Stop them first.`,
+          code: 'SENDER_IN_USE',
+        });
+      }
+
+      const { error } = await supabase
+        .from('sender_accounts')
+        .delete()
+        .eq('id', accountId)
+        .eq('user_id', userId);
+      if (error) throw error;
+
+      res.json({ success: true, message: 'Sender account deleted' });
+    } catch (err) {
+      console.error('Sender account delete error:', err);
+      res.status(500).json({ success: false, error: 'Failed to delete sender account' });
+    }
+  }
+);
+
+/**
+ * Re-test the stored SMTP connection. Success also ends a failure cooldown.
+ */
+router.post('/accounts/:accountId/verify',
+  redisCampaignLimiter,
+  param('accountId').isUUID().withMessage('Valid sender account ID required'),
+  handleValidationErrors,
+  async (req, res) => {
+    const { accountId } = req.params;
+    const userId = req.user.id;
+
+    try {
+      const credentials = await getSenderCredentials(userId, accountId);
+      if (!credentials) return res.status(404).json({ success: false, error: 'Sender account not found' });
+
+      const smtpError = await verifySmtp(credentials);
+      await supabase
+        .from('sender_accounts')
+        .update(smtpError
+          ? { last_error: smtpError }
+          : { verified_at: new Date().toISOString(), last_error: null, consecutive_failures: 0, cooldown_until: null })
+        .eq('id', accountId)
+        .eq('user_id', userId);
+
+      if (smtpError) {
+        return res.status(400).json({ success: false, error: `SMTP connection failed: ${smtpError}` });
+      }
+      res.json({ success: true, message: 'SMTP connection verified' });
+    } catch (err) {
+      console.error('Sender account verify error:', err);
+      res.status(500).json({ success: false, error: 'Failed to verify sender account' });
+    }
+  }
+);
+
+// ===================
+// WARM-UP
+// ===================
+
+/**
+ * Today's position in each mailbox's warm-up ramp and its remaining quota
+ */
+router.get('/warmup', async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('sender_accounts')
+      .select(SENDER_ACCOUNT_SELECT)
+      .eq('user_id', req.user.id)
+      .order('created_at', { ascending: true });
+    if (error) throw error;
+
+    const accounts = await Promise.all(data.map(async account => ({
+      id: account.id,
+      label: account.label,
+      emailUser: account.email_user,
+      ...getSenderQuota(account, await getSenderUsage(account.id)),
+    })));
+    res.json({
+      success: true,
+      accounts,
+      remainingToday: accounts.reduce((sum, account) => sum + (account.remainingToday ?? 0), 0),
+    });
+  } catch (err) {
+    console.error('Warm-up status error:', err);
+    res.status(500).json({ success: false, error: 'Failed to fetch warm-up status' });
+  }
+});
+
+/**
+ * Full ramp of one mailbox, day by day until the target
+ */
+router.get('/accounts/:accountId/warmup',
+  param('accountId').isUUID().withMessage('Valid sender account ID required'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const account = await getSenderAccount(req.user.id, req.params.accountId);
+      if (!account) return res.status(404).json({ success: false, error: 'Sender account not found' });
+      if (!account.warmup) return res.status(404).json({ success: false, error: 'This account has no warm-up plan' });
+
+      res.json({
+        success: true,
+        plan: account.warmup,
+        ...getSenderQuota(account, await getSenderUsage(account.id)),
+        schedule: getWarmupSchedule(account.warmup),
+      });
+    } catch (err) {
+      console.error('Warm-up fetch error:', err);
+      res.status(500).json({ success: false, error: 'Failed to fetch warm-up plan' });
+    }
+  }
+);
+
+/**
+ * Set or replace a mailbox's warm-up plan
+ * Body: { startVolume, growthRate (percent per day), target, startDate? }
+ */
+router.put('/accounts/:accountId/warmup',
+  param('accountId').isUUID().withMessage('Valid sender account ID required'),
+  body('startVolume').isInt({ min: 1, max: WARMUP_LIMITS.MAX_START_VOLUME })
+    .withMessage(`startVolume must be between 1 and ${WARMUP_LIMITS.MAX_START_VOLUME}`),
+  body('growthRate').isFloat({ min: WARMUP_LIMITS.MIN_GROWTH_RATE, max: WARMUP_LIMITS.MAX_GROWTH_RATE })
+    .withMessage(`growthRate must be a percentage between ${WARMUP_LIMITS.MIN_GROWTH_RATE} and ${WARMUP_LIMITS.MAX_GROWTH_RATE}`),
+  body('target').isInt({ min: 1, max: WARMUP_LIMITS.MAX_TARGET })
+    .withMessage(`target must be between 1 and ${WARMUP_LIMITS.MAX_TARGET}`),
+  body('startDate').optional().isISO8601().withMessage('startDate must be an ISO 8601 date'),
+  handleValidationErrors,
+  async (req, res) => {
+    const { accountId } = req.params;
+    const userId = req.user.id;
+
+    let plan;
+    try {
+      plan = normalizeWarmupPlan(req.body);
+    } catch (err) {
+      return res.status(400).json({ success: false, error: err.message });
+    }
+
+    try {
+      if (!(await getSenderAccount(userId, accountId))) {
+        return res.status(404).json({ success: false, error: 'Sender account not found' });
+      }
+
+      const { data: account, error } = await supabase
+        .from('sender_accounts')
+        .update({ warmup: plan, updated_at: new Date().toISOString() })
+        .eq('id', accountId)
+        .eq('user_id', userId)
+        .select(SENDER_ACCOUNT_SELECT)
+        .single();
+      if (error) throw error;
+
+      console.log(`🌡️ Warm-up plan set for sender ${accountId}`);
+      res.json({
+        success: true,
+        plan,
+        ...getSenderQuota(account, await getSenderUsage(accountId)),
+        schedule: getWarmupSchedule(plan),
+      });
+    } catch (err) {
+      console.error('Warm-up update error:', err);
+      res.status(500).json({ success: false, error: 'Failed to save warm-up plan' });
+    }
+  }
+);
+
+/**
+ * Remove a warm-up plan; only the account's own caps apply afterwards
+ */
+router.delete('/accounts/:accountId/warmup',
+  param('accountId').isUUID().withMessage('Valid sender account ID required'),
+  handleValidationErrors,
+  async (req, res) => {
+    const { accountId } = req.params;
+    const userId = req.user.id;
+
+    try {
+      if (!(await getSenderAccount(userId, accountId))) {
+        return res.status(404).json({ success: false, error: 'Sender account not found' });
+      }
+
+      const { error } = await supabase
+        .from('sender_accounts')
+        .update({ warmup: null, updated_at: new Date().toISOString() })
+        .eq('id', accountId)
+        .eq('user_id', userId);
+      if (error) throw error;
+
+      res.json({ success: true, message: 'Warm-up plan removed' });
+    } catch (err) {
+      console.error('Warm-up delete error:', err);
+      res.status(500).json({ success: false, error: 'Failed to remove warm-up plan' });
+    }
+  }
+);
+
+// ===================
+// DELIVERABILITY
+// ===================
+
+/**
+ * SPF / DKIM / DMARC pre-flight for the domain of credentials.emailUser
+ * (or of a saved senderAccountId). No password is needed; only DNS is checked.
+ */
+router.post('/preflight',
+  redisCampaignLimiter,
+  body('senderAccountId').optional().isUUID().withMessage('Valid sender account ID required'),
+  body('credentials.emailUser').if(body('senderAccountId').not().exists())
+    .isEmail().withMessage('credentials.emailUser must be a valid email'),
+  body('credentials.smtpHost').optional().isString().trim().isLength({ max: 253 }),
+  body('dkimSelectors').optional().isArray({ max: 10 }).withMessage('dkimSelectors must be an array of at most 10 selectors'),
+  body('dkimSelectors.*').isString().matches(/^[A-Za-z0-9._-]{1,63}$/).withMessage('Invalid DKIM selector'),
+  handleValidationErrors,
+  async (req, res) => {
+    const { senderAccountId, dkimSelectors } = req.body;
+    let { credentials } = req.body;
+
+    try {
+      if (senderAccountId) {
+        const account = await getSenderAccount(req.user.id, senderAccountId);
+        if (!account) return res.status(404).json({ success: false, error: 'Sender account not found' });
+        credentials = { emailUser: account.email_user, smtpHost: account.smtp_host };
+      }
+
+      const report = await runSenderPreflight({
+        emailUser: credentials.emailUser,
+        smtpHost: credentials.smtpHost,
+        dkimSelectors,
+      });
+
+      res.json({ success: true, ...report });
+    } catch (err) {
+      console.error('Sender preflight error:', err);
+      res.status(502).json({ success: false, error: 'DNS lookup failed, please try again' });
+    }
+  }
+);
+
+export default router;
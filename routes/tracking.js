@@ -0,0 +1,57 @@
+import express from 'express';
+import { decodeTrackingId, verifyTrackedUrl } from '../services/helpers.js';
+import { recordEmailEvent, EVENT_TYPES, TRACKING_PIXEL } from '../services/tracking.js';
+
+const router = express.Router();
+
+// Open tracking pixel - always returns the GIF, even for invalid IDs
+router.get('/open/:trackingId', async (req, res) => {
+  const trackingId = req.params.trackingId.replace(/\.gif$/, '');
+  const trackingInfo = decodeTrackingId(trackingId);
+
+  if (trackingInfo) {
+    try {
+      await recordEmailEvent(trackingInfo, EVENT_TYPES.OPEN, {
+        userAgent: req.get('user-agent'),
+        ip: req.ip,
+      });
+    } catch (err) {
+      console.error('Open tracking error:', err);
+    }
+  }
+
+  res.set({
+    'Content-Type': 'image/gif',
+    'Content-Length': TRACKING_PIXEL.length,
+    'Cache-Control': 'no-store, no-cache, must-revalidate, private',
+    Pragma: 'no-cache',
+  });
+  res.end(TRACKING_PIXEL);
+});
+
+// Click tracking redirect
+router.get('/click/:trackingId', async (req, res) => {
+  const { trackingId } = req.params;
+  const { url, sig } = req.query;
+
+  if (typeof url !== 'string' || !/^https?:\/\//i.test(url) || !verifyTrackedUrl(trackingId, url, sig)) {
+    return res.status(400).send('Invalid link');
+  }
+
+  const trackingInfo = decodeTrackingId(trackingId);
+  if (trackingInfo) {
+    try {
+      await recordEmailEvent(trackingInfo, EVENT_TYPES.CLICK, {
+        url,
+        userAgent: req.get('user-agent'),
+        ip: req.ip,
+      });
+    } catch (err) {
+      console.error('Click tracking error:', err);
+    }
+  }
+
+  res.redirect(302, url);
+});
+
+export default router;
@@ -4,25 +4,39 @@ import { supabase } from '../services/supabase.js';
 
 const router = express.Router();
 
+// Save an opt-out for the hashed email inside a verified tracking ID
+async function recordUnsubscribe(trackingInfo, reason) {
+  if (!supabase || !trackingInfo) return;
+  try {
+    await supabase.from('unsubscribed_emails').upsert({
+      user_id: trackingInfo.userId,
+      email: trackingInfo.emailHash,
+      campaign_id: trackingInfo.campaignId,
+      reason,
+    }, { onConflict: 'user_id,email' });
+  } catch (err) {
+    console.error('Unsubscribe save error:', err);
+  }
+}
+
+// One-click unsubscribe (RFC 8058) - mail providers POST here from the List-Unsubscribe header
+router.post('/:trackingId', async (req, res) => {
+  const trackingInfo = decodeTrackingId(req.params.trackingId);
+  if (!trackingInfo) {
+    return res.status(400).json({ success: false, error: 'Invalid unsubscribe link' });
+  }
+
+  await recordUnsubscribe(trackingInfo, 'One-click unsubscribe');
+  res.json({ success: true });
+});
+
 // Unsubscribe endpoint
 router.get('/:trackingId', async (req, res) => {
   const { trackingId } = req.params;
   
   const trackingInfo = decodeTrackingId(trackingId);
 
-  
-  if (supabase && trackingInfo) {
-    try {
-      await supabase.from('unsubscribed_emails').upsert({
-        user_id: trackingInfo.userId,
-        email: trackingInfo.emailHash,
-        campaign_id: trackingInfo.campaignId,
-        reason: 'User clicked unsubscribe link',
-      }, { onConflict: 'user_id,email' });
-    } catch (err) {
-      console.error('Unsubscribe save error:', err);
-    }
-  }
+  await recordUnsubscribe(trackingInfo, 'User clicked unsubscribe link');
   
   res.send(`
     <!DOCTYPE html>
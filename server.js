@@ -10,9 +10,12 @@ import { redisGeneralLimiter } from './services/redis.js';
 import healthRouter from './routes/health.js';
 import emailRouter from './routes/email.js';
 import unsubscribeRouter from './routes/unsubscribe.js';
+import trackingRouter from './routes/tracking.js';
 import aiRouter from './routes/ai.js';
 import campaignRouter from './routes/campaign.js';
 import campaignWorkerRouter from './routes/campaign-worker.js';
+import contactsRouter from './routes/contacts.js';
+import sendersRouter from './routes/senders.js';
 
 const app = express();
 
@@ -25,6 +28,7 @@ app.set('trust proxy', 1);
 
 // Public routes used directly from email clients
 app.use('/api/unsubscribe', unsubscribeRouter);
+app.use('/api/track', trackingRouter);
 
 // CORS for other routes
 app.use(cors({
@@ -56,9 +60,11 @@ app.use('/api', healthRouter);
 // Protected routes (require authentication)
 app.use('/api/send', requireAuth, emailRouter);
 app.use('/api/ai', requireAuth, aiRouter);
+app.use('/api/contacts', requireAuth, contactsRouter);
+app.use('/api/senders', requireAuth, sendersRouter);
 app.use('/api/campaign', campaignRouter); // Has its own auth middleware
 app.use('/api/campaign-worker', campaignWorkerRouter); // Cron-based email processing
-// Note: unsubscribe route is mounted before CORS middleware
+// Note: unsubscribe and tracking routes are mounted before CORS middleware
 
 // ===================
 // ERROR HANDLING
@@ -0,0 +1,300 @@
+/**
+ * Bounce Monitor
+ * Classifies SMTP send failures and delivery status notifications (DSNs)
+ * into hard, soft and block bounces, and records hard bounces.
+ */
+
+import { supabase } from '../services/supabase.js';
+import { decodeTrackingId, hashEmail } from '../services/helpers.js';
+import { incrementCampaignCounter } from '../services/campaignService.js';
+
+export const BOUNCE_TYPES = {
+  HARD: 'hard',   // Recipient can never receive mail (unknown user, bad domain)
+  SOFT: 'soft',   // Transient problem (greylisting, mailbox full, timeouts)
+  BLOCK: 'block', // Rejected for policy/reputation reasons, or a sender-side problem
+};
+
+const BLOCK_PATTERN = /block|blacklist|blocklist|listed|spam|reputation|policy|rejected due to|not authori[sz]ed|access denied/i;
+const HARD_PATTERN = /user unknown|unknown user|no such user|does not exist|doesn't exist|invalid recipient|recipient address rejected|mailbox unavailable|mailbox not found|address rejected|no mailbox/i;
+
+// Nodemailer error codes that never reached a recipient verdict
+const TRANSIENT_ERROR_CODES = ['ETIMEDOUT', 'ECONNECTION', 'ESOCKET', 'ECONNRESET', 'EDNS', 'EPROTOCOL'];
+
+/**
+ * Pull the enhanced status code (RFC 3463, e.g. 5.1.1) out of a response string
+ */
+export function extractEnhancedCode(text) {
+  const match = String(text || '').match(/\b([245])\.(\d{1,3})\.(\d{1,3})\b/);
+  return match ? match[0] : null;
+}
+
+/**
+ * Classify an SMTP response.
+ * Accepts the basic reply code (550), the enhanced code (5.1.1) and the response text;
+ * any of them may be missing.
+ */
+export function classifySmtpResponse({ responseCode, enhancedCode, response }) {
+  const enhanced = enhancedCode || extractEnhancedCode(response);
+  const basic = Number(responseCode) || null;
+  const text = String(response || '');
+  const result = (type, reason) => ({
+    type,
+    permanent: type !== BOUNCE_TYPES.SOFT,
+    smtpCode: basic,
+    enhancedCode: enhanced,
+    reason,
+  });
+
+  if (enhanced) {
+    const [klass, subject, detail] = enhanced.split('.').map(Number);
+    if (klass === 4) return result(BOUNCE_TYPES.SOFT, 'Temporary delivery failure');
+    if (klass === 5) {
+      // 5.7.x: security or policy rejection
+      if (subject === 7) return result(BOUNCE_TYPES.BLOCK, 'Rejected by recipient policy');
+      // 5.1.x: bad destination mailbox or domain, 5.2.1: mailbox disabled
+      if (subject === 1 || (subject === 2 && detail === 1)) {
+        return result(BOUNCE_TYPES.HARD, 'Recipient address does not exist');
+      }
+      // 5.2.2: mailbox full is worth retrying later
+      if (subject === 2 && detail === 2) return result(BOUNCE_TYPES.SOFT, 'Mailbox full');
+      // 5.4.4: unable to route (domain has no mail server)
+      if (subject === 4 && detail === 4) return result(BOUNCE_TYPES.HARD, 'Recipient domain cannot receive mail');
+    }
+  }
+
+  if (basic >= 400 && basic < 500) return result(BOUNCE_TYPES.SOFT, 'Temporary delivery failure');
+
+  if ((basic >= 500 && basic < 600) || enhanced?.startsWith('5.')) {
+    if (BLOCK_PATTERN.test(text)) return result(BOUNCE_TYPES.BLOCK, 'Rejected by recipient policy');
+    if (HARD_PATTERN.test(text) || basic === 550 || basic === 551 || basic === 553) {
+      return result(BOUNCE_TYPES.HARD, 'Recipient address does not exist');
+    }
+    return result(BOUNCE_TYPES.BLOCK, 'Permanent delivery failure');
+  }
+
+  return result(BOUNCE_TYPES.SOFT, 'Unknown delivery failure');
+}
+
+/**
+ * Classify an error thrown by transporter.sendMail()
+ */
+export function classifySendError(error) {
+  if (error?.responseCode || extractEnhancedCode(error?.response)) {
+    return classifySmtpResponse({
+      responseCode: error.responseCode,
+      response: error.response || error.message,
+    });
+  }
+
+  // Failures before any recipient verdict (auth, network)
+  if (error?.code === 'EAUTH') {
+    return { type: BOUNCE_TYPES.BLOCK, permanent: true, smtpCode: null, enhancedCode: null, reason: 'SMTP authentication failed' };
+  }
+  if (TRANSIENT_ERROR_CODES.includes(error?.code)) {
+    return { type: BOUNCE_TYPES.SOFT, permanent: false, smtpCode: null, enhancedCode: null, reason: 'SMTP connection problem' };
+  }
+  if (error?.code === 'EENVELOPE') {
+    return { type: BOUNCE_TYPES.HARD, permanent: true, smtpCode: null, enhancedCode: null, reason: 'Recipient address rejected' };
+  }
+
+  return classifySmtpResponse({ response: error?.message });
+}
+
+/**
+ * Save a hard bounce so the address is suppressed from future campaigns
+ */
+export async function recordBounce({ userId, email, campaignId, classification, reason }) {
+  if (!supabase || !userId || !email) return false;
+  if (classification.type !== BOUNCE_TYPES.HARD) return false;
+
+  const { error } = await supabase.from('bounced_emails').upsert({
+    user_id: userId,
+    email: hashEmail(email),
+    bounce_type: classification.type,
+    reason: (reason || classification.reason || '').slice(0, 500),
+    campaign_id: campaignId || null,
+  }, { onConflict: 'user_id,email' });
+
+  if (error) {
+    console.error('Bounce save error:', error.message);
+    return false;
+  }
+  return true;
+}
+
+// ===================
+// DSN (multipart/report) PARSING
+// ===================
+
+// Parse a header block into a lowercase-keyed object, unfolding continuation lines
+function parseHeaderBlock(block) {
+  const headers = {};
+  const unfolded = block.replace(/\r\n/g, '\n').replace(/\n[ \t]+/g, ' ');
+  for (const line of unfolded.split('\n')) {
+    const idx = line.indexOf(':');
+    if (idx <= 0) continue;
+    const name = line.slice(0, idx).trim().toLowerCase();
+    const value = line.slice(idx + 1).trim();
+    if (!(name in headers)) headers[name] = value;
+  }
+  return headers;
+}
+
+function splitHeadersAndBody(raw) {
+  const text = raw.replace(/\r\n/g, '\n');
+  const idx = text.indexOf('\n\n');
+  if (idx === -1) return { headers: parseHeaderBlock(text), body: '' };
+  return { headers: parseHeaderBlock(text.slice(0, idx)), body: text.slice(idx + 2) };
+}
+
+function getContentType(headers) {
+  const value = headers['content-type'] || 'text/plain';
+  const type = value.split(';')[0].trim().toLowerCase();
+  const boundary = value.match(/boundary\s*=\s*"?([^";]+)"?/i)?.[1];
+  return { type, boundary };
+}
+
+function decodeBody(headers, body) {
+  const encoding = (headers['content-transfer-encoding'] || '').toLowerCase();
+  if (encoding === 'base64') {
+    return Buffer.from(body.replace(/\s+/g, ''), 'base64').toString('utf8');
+  }
+  return body;
+}
+
+// Recursively flatten a MIME message into its leaf parts
+function parseMimeParts(raw) {
+  const { headers, body } = splitHeadersAndBody(raw);
+  const { type, boundary } = getContentType(headers);
+
+  if (type.startsWith('multipart/') && boundary) {
+    const delimiter = `--${boundary}`;
+    const sections = body.split(delimiter).slice(1);
+    const parts = [];
+    for (const section of sections) {
+      if (section.startsWith('--')) break;
+      parts.push(...parseMimeParts(section.replace(/^\n/, '')));
+    }
+    return parts;
+  }
+
+  return [{ type, headers, body: decodeBody(headers, body) }];
+}
+
+// Strip the "rfc822;" / "smtp;" type prefix used by DSN fields
+function stripTypePrefix(value) {
+  return String(value || '').replace(/^[\w-]+;\s*/, '').trim();
+}
+
+/**
+ * Parse a delivery status notification (RFC 3464).
+ * Returns null when the message is not a DSN.
+ */
+export function parseDsn(raw) {
+  const { headers } = splitHeadersAndBody(String(raw || ''));
+  const { type } = getContentType(headers);
+  const contentType = headers['content-type'] || '';
+  if (type !== 'multipart/report' || !/report-type\s*=\s*"?delivery-status/i.test(contentType)) {
+    return null;
+  }
+
+  const parts = parseMimeParts(String(raw));
+  const statusPart = parts.find(p => p.type === 'message/delivery-status');
+  if (!statusPart) return null;
+
+  // First field group is per-message, the rest are per-recipient
+  const groups = statusPart.body
+    .replace(/\r\n/g, '\n')
+    .split(/\n\s*\n/)
+    .map(group => group.trim())
+    .filter(Boolean)
+    .map(parseHeaderBlock);
+  const [messageFields = {}, ...recipientGroups] = groups;
+
+  const recipients = recipientGroups
+    .filter(fields => fields['final-recipient'] || fields['original-recipient'])
+    .map(fields => {
+      const diagnosticCode = stripTypePrefix(fields['diagnostic-code']);
+      return {
+        email: stripTypePrefix(fields['final-recipient'] || fields['original-recipient'])
+          .replace(/^<|>$/g, ''),
+        action: (fields['action'] || '').toLowerCase(),
+        status: fields['status'] || null,
+        diagnosticCode,
+        classification: classifySmtpResponse({
+          responseCode: diagnosticCode.match(/^\d{3}/)?.[0],
+          enhancedCode: extractEnhancedCode(fields['status']),
+          response: diagnosticCode,
+        }),
+      };
+    });
+
+  // The returned original headers carry our signed List-Unsubscribe URL
+  const originalPart = parts.find(p => p.type === 'message/rfc822' || p.type === 'text/rfc822-headers');
+  const originalHeaders = originalPart ? splitHeadersAndBody(originalPart.body).headers : {};
+  const trackingId = (originalHeaders['list-unsubscribe'] || '').match(/\/api\/unsubscribe\/([\w-]+\.[\w-]+)/)?.[1];
+
+  return {
+    reportingMta: stripTypePrefix(messageFields['reporting-mta']) || null,
+    originalMessageId: originalHeaders['message-id'] || null,
+    tracking: trackingId ? decodeTrackingId(trackingId) : null,
+    recipients,
+  };
+}
+
+/**
+ * Turn an asynchronous bounce message into bounce records.
+ * Only hard bounces are recorded, and only for the recipient the signed
+ * tracking ID was issued to: the ID proves who sent the message, the email
+ * hash inside it proves who it went to.
+ */
+export async function processDsnMessage(raw) {
+  const dsn = parseDsn(raw);
+  if (!dsn) return { isDsn: false, recorded: 0, recipients: [] };
+
+  let recorded = 0;
+  const hardBounces = dsn.recipients.filter(r => r.action === 'failed' && r.classification.type === BOUNCE_TYPES.HARD);
+
+  if (dsn.tracking && supabase) {
+    for (const recipient of hardBounces) {
+      if (hashEmail(recipient.email) !== dsn.tracking.emailHash) {
+        console.warn(`DSN for campaign ${dsn.tracking.campaignId} names a recipient it was not sent to, ignored`);
+        continue;
+      }
+
+      const saved = await recordBounce({
+        userId: dsn.tracking.userId,
+        email: recipient.email,
+        campaignId: dsn.tracking.campaignId,
+        classification: recipient.classification,
+        reason: recipient.diagnosticCode,
+      });
+      if (saved) recorded++;
+
+      let query = supabase
+        .from('campaign_emails')
+        .update({
+          status: 'failed',
+          bounce_type: recipient.classification.type,
+          error_message: recipient.diagnosticCode || recipient.classification.reason,
+          retry_at: null,
+        })
+        .eq('campaign_id', dsn.tracking.campaignId)
+        // DSNs may change the address's case; the hash check above already pinned the recipient
+        .ilike('email', recipient.email.replace(/[%_\\]/g, '\\$&'))
+        .eq('status', 'sent');
+      if (dsn.originalMessageId) query = query.eq('message_id', dsn.originalMessageId);
+
+      const { data: bouncedRows, error } = await query.select('id');
+      if (error) {
+        console.error('DSN row update error:', error.message);
+      } else if (bouncedRows.length) {
+        // The rows were counted as sent: move them over to the failed count
+        await incrementCampaignCounter(dsn.tracking.campaignId, 'sent_count', -bouncedRows.length);
+        await incrementCampaignCounter(dsn.tracking.campaignId, 'failed_count', bouncedRows.length);
+      }
+    }
+  }
+
+  return { isDsn: true, recorded, recipients: dsn.recipients, campaignId: dsn.tracking?.campaignId || null };
+}
@@ -0,0 +1,96 @@
+/**
+ * Campaign Cloning
+ * Picks the recipients of an earlier campaign that should get another try
+ * and copies its settings into a new draft. Selection is per contact: a
+ * contact's rows (initial email and follow-ups) are looked at together.
+ */
+
+import { supabase } from '../services/supabase.js';
+import { BOUNCE_TYPES } from '../services/bounce-monitor.js';
+
+/**
+ * all       every contact of the original campaign
+ * failed    contacts whose initial email failed
+ * cancelled contacts whose initial email was cancelled when the campaign stopped
+ * unsent    contacts that were never sent any email
+ */
+export const CLONE_RECIPIENT_FILTERS = ['all', 'failed', 'cancelled', 'unsent'];
+
+// A campaign that may still send would race its clone for the same contacts
+export const CLONEABLE_STATUSES = ['draft', 'completed', 'stopped', 'error'];
+
+const PAGE_SIZE = 1000;
+
+// Settings that carry over to the clone unchanged
+const COPIED_COLUMNS = [
+  'template_subject', 'template_body', 'sender_name', 'delay_min', 'delay_max',
+  'sender_account_id', 'sender_account_ids', 'sender_rotation', 'unsubscribe_footer',
+  'track_opens', 'track_clicks', 'sequence_steps', 'sending_window', 'use_recipient_timezone',
+  'domain_throttle', 'circuit_breaker', 'list_id', 'segment',
+];
+
+/**
+ * Every row of a campaign grouped by contact, in the original send order:
+ * [{ email, contact, rows: [{ step, status, bounce_type }] }]
+ */
+export async function loadCampaignContacts(campaignId) {
+  const contacts = new Map();
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('campaign_emails')
+      .select('email, contact_data, step, status, bounce_type')
+      .eq('campaign_id', campaignId)
+      .order('sort_order')
+      .order('step')
+      .order('id')
+      .range(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+
+    for (const row of data) {
+      const key = String(row.email).toLowerCase().trim();
+      if (!contacts.has(key)) contacts.set(key, { email: row.email, contact: row.contact_data || { email: row.email }, rows: [] });
+      contacts.get(key).rows.push({ step: row.step || 0, status: row.status, bounce_type: row.bounce_type });
+    }
+    if (data.length < PAGE_SIZE) break;
+  }
+  return [...contacts.values()];
+}
+
+/**
+ * Contacts to copy into the clone. Contacts that were suppressed in the
+ * original are always left out; with skipHardBounces so are contacts with a
+ * hard-bounced row. Returns { contacts, skipped: { suppressed, hardBounces } }.
+ */
+export function selectCloneRecipients(entries, { recipients = 'all', skipHardBounces = true } = {}) {
+  const skipped = { suppressed: 0, hardBounces: 0 };
+  const contacts = [];
+
+  for (const entry of entries) {
+    const initial = entry.rows.find(row => row.step === 0) || entry.rows[0];
+    const matches = {
+      all: true,
+      failed: initial.status === 'failed',
+      cancelled: initial.status === 'cancelled',
+      unsent: !entry.rows.some(row => row.status === 'sent'),
+    }[recipients];
+    if (!matches) continue;
+
+    if (entry.rows.some(row => row.status === 'suppressed')) {
+      skipped.suppressed++;
+      continue;
+    }
+    if (skipHardBounces && entry.rows.some(row => row.status === 'failed' && row.bounce_type === BOUNCE_TYPES.HARD)) {
+      skipped.hardBounces++;
+      continue;
+    }
+    contacts.push({ ...entry.contact, email: entry.email });
+  }
+  return { contacts, skipped };
+}
+
+/**
+ * Settings of the original campaign for the clone's insert
+ */
+export function copyCampaignSettings(campaign) {
+  return Object.fromEntries(COPIED_COLUMNS.map(column => [column, campaign[column] ?? null]));
+}
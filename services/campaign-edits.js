@@ -0,0 +1,149 @@
+/**
+ * Campaign Edits
+ * Recipient changes to a draft or paused campaign. Only rows that have not
+ * gone out yet (pending or deferred) are touched: contacts that were already
+ * emailed keep their rows and results.
+ */
+
+import { supabase } from '../services/supabase.js';
+import { LIMITS } from '../services/campaign-processor.js';
+
+export const EDITABLE_STATUSES = ['draft', 'paused'];
+
+const UNSENT_STATUSES = ['pending', 'deferred'];
+const PAGE_SIZE = 1000;
+const WRITE_CHUNK_SIZE = 200;
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+}
+
+const emailKey = email => String(email || '').toLowerCase().trim();
+
+async function loadRows(campaignId) {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('campaign_emails')
+      .select('id, email, step, status, sort_order')
+      .eq('campaign_id', campaignId)
+      .order('sort_order')
+      .order('step')
+      .order('id')
+      .range(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+    rows.push(...data);
+    if (data.length < PAGE_SIZE) return rows;
+  }
+}
+
+/**
+ * Replace the recipients that have not been emailed yet with `contacts`
+ * (already quality-checked). Unsent rows of contacts missing from the list are
+ * deleted, kept contacts get their new contact_data, and new contacts are
+ * added at the end. `suppressionReason(contact)` marks added contacts that must
+ * not be emailed. Returns { added, removed, updated, suppressed }.
+ */
+export async function replaceRecipients(campaign, contacts, suppressionReason = () => null) {
+  const rows = await loadRows(campaign.id);
+  const incoming = new Map(contacts.map(contact => [emailKey(contact.email), contact]));
+  // A draft has not sent anything, so its suppressed rows can go as well
+  const replaceable = campaign.status === 'draft' ? [...UNSENT_STATUSES, 'suppressed'] : UNSENT_STATUSES;
+
+  const removedIds = [];
+  const removedContacts = new Set();
+  const keptIds = new Map();
+  const existing = new Set();
+  for (const row of rows) {
+    const key = emailKey(row.email);
+    if (!replaceable.includes(row.status)) {
+      existing.add(key);
+    } else if (incoming.has(key)) {
+      existing.add(key);
+      keptIds.set(key, [...(keptIds.get(key) || []), row.id]);
+    } else {
+      removedIds.push(row.id);
+      removedContacts.add(key);
+    }
+  }
+
+  const added = contacts.filter(contact => !existing.has(emailKey(contact.email)));
+  if (existing.size + added.length > LIMITS.MAX_CONTACTS_PER_CAMPAIGN) {
+    const err = new Error(`The campaign would have ${existing.size + added.length} contacts; the maximum is ${LIMITS.MAX_CONTACTS_PER_CAMPAIGN}`);
+    err.code = 'TOO_MANY_CONTACTS';
+    throw err;
+  }
+
+  for (const ids of chunk(removedIds, WRITE_CHUNK_SIZE)) {
+    const { error } = await supabase.from('campaign_emails').delete().in('id', ids);
+    if (error) throw error;
+  }
+
+  for (const [key, ids] of keptIds) {
+    const { error } = await supabase
+      .from('campaign_emails')
+      .update({ contact_data: incoming.get(key) })
+      .in('id', ids);
+    if (error) throw error;
+  }
+
+  let sortOrder = rows.reduce((max, row) => Math.max(max, row.sort_order ?? -1), -1);
+  const newRows = added.map(contact => ({
+    campaign_id: campaign.id,
+    user_id: campaign.user_id,
+    email: contact.email,
+    contact_data: contact,
+    status: suppressionReason(contact) ? 'suppressed' : 'pending',
+    error_message: suppressionReason(contact) || null,
+    sort_order: ++sortOrder,
+    step: 0,
+  }));
+  for (const records of chunk(newRows, WRITE_CHUNK_SIZE)) {
+    const { error } = await supabase.from('campaign_emails').insert(records);
+    if (error) throw error;
+  }
+
+  const suppressed = newRows.filter(row => row.status === 'suppressed').length;
+  return {
+    added: newRows.length - suppressed,
+    removed: removedContacts.size,
+    updated: keptIds.size,
+    suppressed,
+  };
+}
+
+/**
+ * Cancel unsent follow-ups for steps that no longer exist in the sequence
+ */
+export async function cancelRemovedSteps(campaignId, stepCount) {
+  const { data, error } = await supabase
+    .from('campaign_emails')
+    .update({ status: 'cancelled', retry_at: null, error_message: 'Follow-up step removed' })
+    .eq('campaign_id', campaignId)
+    .gt('step', stepCount)
+    .in('status', UNSENT_STATUSES)
+    .select('id');
+  if (error) throw error;
+  return (data || []).length;
+}
+
+/**
+ * Recount total and suppressed rows after recipients changed
+ */
+export async function refreshCampaignCounts(campaignId) {
+  const countRows = async status => {
+    let query = supabase
+      .from('campaign_emails')
+      .select('id', { count: 'exact', head: true })
+      .eq('campaign_id', campaignId);
+    if (status) query = query.eq('status', status);
+    const { count, error } = await query;
+    if (error) throw error;
+    return count || 0;
+  };
+
+  const [total, suppressed] = await Promise.all([countRows(null), countRows('suppressed')]);
+  return { total_emails: total, suppressed_count: suppressed };
+}
@@ -0,0 +1,177 @@
+/**
+ * Campaign Export
+ * Builds CSV rows for a campaign's recipients page by page, so large campaigns
+ * never have to be held in memory: the original contact_data columns followed
+ * by delivery, bounce and tracking results.
+ */
+
+import { createObjectCsvStringifier } from 'csv-writer';
+import { supabase } from '../services/supabase.js';
+import { hashEmail } from '../services/helpers.js';
+
+export const EXPORT_FILTERS = ['all', 'failed', 'unsent'];
+
+const PAGE_SIZE = 500;
+const EVENT_CHUNK_SIZE = 200;
+
+// Tracking events identify the recipient, not the step, so these are totals
+// over all of a recipient's emails and repeat on each of their rows
+const ENGAGEMENT_COLUMNS = [
+  'recipient_opens', 'recipient_human_opens', 'recipient_clicks', 'recipient_human_clicks',
+  'recipient_first_opened_at', 'recipient_last_clicked_at',
+];
+
+const RESULT_COLUMNS = [
+  'email', 'step', 'status', 'subject', 'sent_at', 'error_message', 'bounce_type', 'attempts',
+  'replied_at', 'sender_email', 'template_version', ...ENGAGEMENT_COLUMNS,
+];
+
+// A spreadsheet may run any value starting with one of these as a formula, so
+// it gets a leading quote; only plain numbers such as -5 or +1.5 are left alone
+const FORMULA_START = /^[=+\-@\t\r]/;
+const PLAIN_NUMBER = /^[+-]?\d+(\.\d+)?$/;
+
+function toCell(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  const text = String(value);
+  return FORMULA_START.test(text) && !PLAIN_NUMBER.test(text) ? `'${text}` : text;
+}
+
+function filteredQuery(campaignId, filter, columns) {
+  let query = supabase
+    .from('campaign_emails')
+    .select(columns)
+    .eq('campaign_id', campaignId);
+  if (filter === 'failed') query = query.eq('status', 'failed');
+  if (filter === 'unsent') query = query.neq('status', 'sent');
+  return query.order('sort_order').order('step').order('id');
+}
+
+async function* pages(campaignId, filter, columns) {
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await filteredQuery(campaignId, filter, columns).range(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+    if (data.length) yield data;
+    if (data.length < PAGE_SIZE) return;
+  }
+}
+
+/**
+ * Every contact_data key used by the exported rows, in first-seen order.
+ * Reads only the contact_data column, one page at a time.
+ */
+export async function collectContactColumns(campaignId, filter = 'all') {
+  const keys = new Set();
+  for await (const rows of pages(campaignId, filter, 'contact_data')) {
+    for (const row of rows) {
+      Object.keys(row.contact_data || {}).forEach(key => keys.add(key));
+    }
+  }
+  keys.delete('email');
+  return [...keys];
+}
+
+/**
+ * Open / click totals per recipient (email hash) for one page of rows
+ */
+async function fetchEngagement(campaignId, emails) {
+  const engagement = new Map();
+  const hashes = [...new Set(emails.map(hashEmail))];
+
+  for (let i = 0; i < hashes.length; i += EVENT_CHUNK_SIZE) {
+    const { data, error } = await supabase
+      .from('email_events')
+      .select('email_hash, event_type, is_bot, created_at')
+      .eq('campaign_id', campaignId)
+      .in('email_hash', hashes.slice(i, i + EVENT_CHUNK_SIZE));
+    if (error) throw error;
+
+    for (const event of data || []) {
+      const stats = engagement.get(event.email_hash) || {
+        recipient_opens: 0,
+        recipient_human_opens: 0,
+        recipient_clicks: 0,
+        recipient_human_clicks: 0,
+        recipient_first_opened_at: null,
+        recipient_last_clicked_at: null,
+      };
+      if (event.event_type === 'open') {
+        stats.recipient_opens++;
+        if (!event.is_bot) stats.recipient_human_opens++;
+        if (!stats.recipient_first_opened_at || event.created_at < stats.recipient_first_opened_at) {
+          stats.recipient_first_opened_at = event.created_at;
+        }
+      } else if (event.event_type === 'click') {
+        stats.recipient_clicks++;
+        if (!event.is_bot) stats.recipient_human_clicks++;
+        if (!stats.recipient_last_clicked_at || event.created_at > stats.recipient_last_clicked_at) {
+          stats.recipient_last_clicked_at = event.created_at;
+        }
+      }
+      engagement.set(event.email_hash, stats);
+    }
+  }
+  return engagement;
+}
+
+/**
+ * Stream a campaign as CSV chunks: the header first, then one chunk per page.
+ * `contactColumns` comes from collectContactColumns(); contact keys that clash
+ * with a result column are prefixed with "contact_".
+ */
+export async function* streamCampaignCsv(campaign, { filter = 'all', contactColumns = [] } = {}) {
+  const contactHeader = contactColumns.map(key => ({
+    key,
+    id: `contact:${key}`,
+    title: RESULT_COLUMNS.includes(key) ? `contact_${key}` : key,
+  }));
+  const stringifier = createObjectCsvStringifier({
+    header: [
+      { id: 'email', title: 'email' },
+      ...contactHeader.map(({ id, title }) => ({ id, title })),
+      ...RESULT_COLUMNS.filter(column => column !== 'email').map(column => ({ id: column, title: column })),
+    ],
+  });
+
+  const { data: senders } = await supabase
+    .from('sender_accounts')
+    .select('id, email_user')
+    .eq('user_id', campaign.user_id);
+  const senderEmails = new Map((senders || []).map(sender => [sender.id, sender.email_user]));
+
+  yield stringifier.getHeaderString();
+
+  const columns = 'email, contact_data, step, status, subject, sent_at, error_message, bounce_type, attempts, replied_at, sender_account_id, template_version';
+  for await (const rows of pages(campaign.id, filter, columns)) {
+    const engagement = await fetchEngagement(campaign.id, rows.map(row => row.email));
+
+    const records = rows.map(row => {
+      const contact = row.contact_data || {};
+      const record = {
+        email: toCell(row.email),
+        step: row.step || 0,
+        status: row.status,
+        subject: toCell(row.subject),
+        sent_at: toCell(row.sent_at),
+        error_message: toCell(row.error_message),
+        bounce_type: toCell(row.bounce_type),
+        attempts: row.attempts || 0,
+        replied_at: toCell(row.replied_at),
+        sender_email: toCell(senderEmails.get(row.sender_account_id)),
+        template_version: row.template_version ?? '',
+        recipient_opens: 0,
+        recipient_human_opens: 0,
+        recipient_clicks: 0,
+        recipient_human_clicks: 0,
+        recipient_first_opened_at: '',
+        recipient_last_clicked_at: '',
+        ...engagement.get(hashEmail(row.email)),
+      };
+      for (const { key, id } of contactHeader) record[id] = toCell(contact[key]);
+      return record;
+    });
+
+    yield stringifier.stringifyRecords(records);
+  }
+}
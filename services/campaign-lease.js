@@ -0,0 +1,121 @@
+/**
+ * Campaign Leases
+ * The worker endpoint can be hit by Vercel cron, an external cron and every
+ * open frontend tab at once. A campaign is processed by one lease holder at a
+ * time, and each row is claimed into `sending` with a single conditional
+ * update right before it is sent, so a row is never sent twice even when two
+ * invocations get past the lease. Both expire: a worker that dies mid-batch
+ * gives its campaign and its `sending` rows back after the timeout.
+ */
+
+import crypto from 'crypto';
+import { supabase } from '../services/supabase.js';
+import { lockStore } from '../services/redis.js';
+
+export const LEASE_LIMITS = {
+  // Renewed before every send, so it only has to cover one send delay plus the SMTP call
+  CAMPAIGN_LEASE_MS: 10 * 60 * 1000,
+  // How long a row may stay in `sending` before another worker may take it
+  EMAIL_CLAIM_MS: 10 * 60 * 1000,
+};
+
+/**
+ * Take the processing lease of a campaign.
+ * Returns { token, renew(), release() }, or null while another worker holds it.
+ * If the lock store is unreachable processing goes ahead: row claims still
+ * prevent double sends.
+ */
+export async function acquireCampaignLease(campaignId) {
+  const key = `campaign:${campaignId}`;
+  const token = crypto.randomUUID();
+
+  try {
+    if (!(await lockStore.acquire(key, token, LEASE_LIMITS.CAMPAIGN_LEASE_MS))) return null;
+  } catch (err) {
+    console.error(`Campaign ${campaignId} lease error:`, err.message);
+    return { token, renew: async () => true, release: async () => {} };
+  }
+
+  return {
+    token,
+
+    /**
+     * Extend the lease. Returns false when it expired and may belong to someone else.
+     */
+    async renew() {
+      try {
+        return await lockStore.extend(key, token, LEASE_LIMITS.CAMPAIGN_LEASE_MS);
+      } catch (err) {
+        console.error(`Campaign ${campaignId} lease renewal error:`, err.message);
+        return true;
+      }
+    },
+
+    async release() {
+      try {
+        await lockStore.release(key, token);
+      } catch (err) {
+        console.error(`Campaign ${campaignId} lease release error:`, err.message);
+      }
+    },
+  };
+}
+
+/**
+ * Claim one row for sending. Succeeds only while the row still has the status
+ * and attempt count it was fetched with, so of two workers holding the same row
+ * exactly one wins, and a stale copy of a row that was retried and deferred
+ * again in the meantime cannot send it before its new retry time.
+ */
+export async function claimEmail(emailRecord, owner) {
+  let query = supabase
+    .from('campaign_emails')
+    .update({
+      status: 'sending',
+      claimed_by: owner,
+      claim_expires_at: new Date(Date.now() + LEASE_LIMITS.EMAIL_CLAIM_MS).toISOString(),
+    })
+    .eq('id', emailRecord.id)
+    .eq('status', emailRecord.status);
+  query = emailRecord.attempts == null
+    ? query.is('attempts', null)
+    : query.eq('attempts', emailRecord.attempts);
+
+  const { data, error } = await query.select('id');
+  if (error) throw error;
+  return (data || []).length > 0;
+}
+
+/**
+ * Give a claimed row back unsent, with the status it was claimed from, when
+ * something failed before the send. Errors are only logged: the claim then
+ * expires as if the worker had died.
+ */
+export async function releaseEmail(emailRecord, owner) {
+  const { error } = await supabase
+    .from('campaign_emails')
+    .update({ status: emailRecord.status, claimed_by: null, claim_expires_at: null })
+    .eq('id', emailRecord.id)
+    .eq('status', 'sending')
+    .eq('claimed_by', owner);
+  if (error) console.error(`Email ${emailRecord.id} claim release error:`, error.message);
+}
+
+/**
+ * Put rows whose claim expired (the worker died before recording the result)
+ * back to pending
+ */
+export async function reclaimExpiredEmails(campaignId) {
+  const { data, error } = await supabase
+    .from('campaign_emails')
+    .update({ status: 'pending', claimed_by: null, claim_expires_at: null })
+    .eq('campaign_id', campaignId)
+    .eq('status', 'sending')
+    .lt('claim_expires_at', new Date().toISOString())
+    .select('id');
+  if (error) throw error;
+
+  const reclaimed = (data || []).length;
+  if (reclaimed) console.warn(`♻️ Campaign ${campaignId}: ${reclaimed} stuck email(s) returned to pending`);
+  return reclaimed;
+}
@@ -2,9 +2,23 @@
 // Contains core campaign logic split from campaign.js route file.
 
 import { supabase } from '../services/supabase.js';
-import { createTransporterFromCredentials } from '../services/email.js';
-import { sanitizeEmailHeader, sanitizeHtml } from '../services/helpers.js';
-import { campaignQueue, isUpstashConfigured } from '../services/redis.js';
+import {
+  buildCampaignEmail,
+  skipIfSuppressed,
+  recordSendFailure,
+  recordSendSuccess,
+  incrementCampaignCounter,
+  fetchDueEmails,
+  getNextDueTime,
+  getCampaignWindowWait,
+  deferIfOutsideLocalWindow,
+} from '../services/campaignService.js';
+import { completeCampaign, activateScheduledCampaign, markCampaignError } from '../services/campaignWorkerService.js';
+import { CAMPAIGN_ACTORS } from '../services/campaign-state.js';
+import { createSenderPool, deferForSender } from '../services/sender-pool.js';
+import { createDomainThrottle, deferForDomain } from '../services/domain-throttle.js';
+import { pauseIfUnhealthy } from '../services/circuit-breaker.js';
+import { acquireCampaignLease, claimEmail, releaseEmail, reclaimExpiredEmails } from '../services/campaign-lease.js';
 import { CONFIG } from '../config/index.js';
 
 export const LIMITS = {
@@ -14,10 +28,74 @@ export const LIMITS = {
   MAX_DELAY_MS: 300000,
   DEFAULT_MIN_DELAY_MS: 10000,
   DEFAULT_MAX_DELAY_MS: 30000,
+  MAX_FOLLOW_UPS: 5,
+  MAX_FOLLOW_UP_DELAY_DAYS: 60,
 };
 
+// Longest single wait before re-checking a campaign that has nothing due yet
+const MAX_IDLE_WAIT_MS = 60 * 60 * 1000;
+
+// Re-run the processor once the next outstanding row is due
+async function scheduleNextRun(campaignId, userId, dueAt) {
+  const wait = Math.max(0, dueAt.getTime() - Date.now());
+  if (wait === 0) {
+    setImmediate(() => processCampaign(campaignId, userId));
+    return;
+  }
+  await supabase
+    .from('campaigns')
+    .update({ next_email_at: dueAt.toISOString() })
+    .eq('id', campaignId);
+  setTimeout(() => processCampaign(campaignId, userId), Math.min(wait, MAX_IDLE_WAIT_MS));
+}
+
+/**
+ * Start a scheduled campaign once its start time arrives (non-serverless only;
+ * on Vercel the worker activates due campaigns)
+ */
+export function scheduleCampaignStart(campaignId, userId, scheduledAt) {
+  const wait = new Date(scheduledAt).getTime() - Date.now();
+  if (wait > MAX_IDLE_WAIT_MS) {
+    setTimeout(() => scheduleCampaignStart(campaignId, userId, scheduledAt), MAX_IDLE_WAIT_MS);
+    return;
+  }
+  setTimeout(async () => {
+    try {
+      if (await activateScheduledCampaign(campaignId)) {
+        await processCampaign(campaignId, userId);
+      }
+    } catch (err) {
+      console.error(`Campaign ${campaignId} scheduled start error:`, err);
+    }
+  }, Math.max(0, wait));
+}
+
+/**
+ * Process a campaign while holding its lease, then schedule the next run.
+ * Returns right away when another worker is processing the campaign.
+ */
 export async function processCampaign(campaignId, userId) {
-  let transporter = null;
+  const lease = await acquireCampaignLease(campaignId);
+  if (!lease) {
+    console.log(`⏭️ Campaign ${campaignId} is already being processed elsewhere`);
+    return;
+  }
+  let nextRunAt = null;
+  try {
+    nextRunAt = await runCampaign(campaignId, userId, lease);
+  } finally {
+    await lease.release();
+  }
+  // Scheduled after the release so the next run can take the lease
+  if (nextRunAt) await scheduleNextRun(campaignId, userId, nextRunAt);
+}
+
+/**
+ * One pass over the due rows. Returns when to run again, or null when the
+ * campaign finished, stopped or lost its lease.
+ */
+async function runCampaign(campaignId, userId, lease) {
+  let senderPool = null;
   try {
     const { data: campaign, error: campaignError } = await supabase
       .from('campaigns')
@@ -25,40 +103,30 @@ export async function processCampaign(campaignId, userId) {
       .eq('id', campaignId)
       .eq('user_id', userId)
       .single();
-    if (campaignError || !campaign) return;
-    let queueData = null;
-    if (isUpstashConfigured) {
-      queueData = await campaignQueue.getStatus(campaignId, userId);
-    } else if (campaign.credentials_temp && campaign.template_data) {
-      queueData = {
-        credentials: JSON.parse(campaign.credentials_temp),
-        ...JSON.parse(campaign.template_data),
-      };
+    if (campaignError || !campaign) return null;
+    // A scheduled re-run may fire after the campaign was paused or stopped
+    if (campaign.status !== 'running') return null;
+    await reclaimExpiredEmails(campaignId);
+    try {
+      senderPool = await createSenderPool(campaign);
+    } catch (err) {
+      console.error(`Campaign ${campaignId} sender decrypt error:`, err.message);
     }
-    if (!queueData?.credentials) {
-      await supabase
-        .from('campaigns')
-        .update({ status: 'error', error_message: 'Missing credentials' })
-        .eq('id', campaignId);
-      return;
+    if (!senderPool?.size) {
+      await markCampaignError(campaignId, 'Missing sender account', CAMPAIGN_ACTORS.PROCESSOR);
+      return null;
     }
-    const { credentials, template, senderName, delayMin, delayMax } = queueData;
-    transporter = createTransporterFromCredentials(credentials);
-    const { data: pendingEmails, error: emailsError } = await supabase
-      .from('campaign_emails')
-      .select('*')
-      .eq('campaign_id', campaignId)
-      .eq('status', 'pending')
-      .order('sort_order')
-      .limit(100);
-    if (emailsError) throw emailsError;
-    if (!pendingEmails || pendingEmails.length === 0) {
-      await supabase
-        .from('campaigns')
-        .update({ status: 'completed', completed_at: new Date().toISOString(), credentials_temp: null, template_data: null })
-        .eq('id', campaignId);
-      if (isUpstashConfigured) await campaignQueue.dequeue(campaignId, userId);
-      return;
+    const template = { subject: campaign.template_subject, body: campaign.template_body };
+    const delayMin = campaign.delay_min;
+    const delayMax = campaign.delay_max;
+    const domainThrottle = createDomainThrottle(campaign);
+    const pendingEmails = await fetchDueEmails(campaignId, 100);
+    if (pendingEmails.length === 0) {
+      const nextDue = await getNextDueTime(campaignId);
+      // Only retries that are not due yet remain
+      if (nextDue) return nextDue;
+      await completeCampaign(campaignId, userId, CAMPAIGN_ACTORS.PROCESSOR);
+      return null;
     }
     const STATUS_CHECK_INTERVAL = 10;
     let shouldStop = false;
@@ -76,70 +144,58 @@ export async function processCampaign(campaignId, userId) {
         }
       }
       if (shouldStop) break;
+      // Outside the sending window: wait for the next open slot instead of sending now
+      const opensAt = getCampaignWindowWait(campaign);
+      if (opensAt) return opensAt;
+      if (await deferIfOutsideLocalWindow(campaign, emailRecord)) continue;
+      if (await skipIfSuppressed(campaign, emailRecord)) continue;
+      // Recipient domain or provider over its hourly limit: move on to other contacts
+      const throttled = await domainThrottle?.check(emailRecord);
+      if (throttled) {
+        await deferForDomain(emailRecord, throttled.retryAt);
+        continue;
+      }
+      const { sender, pinned, retryAt } = await senderPool.senderFor(emailRecord);
+      if (!sender) {
+        // A follow-up waits for its own mailbox; otherwise every mailbox is capped
+        if (pinned) {
+          await deferForSender(emailRecord, retryAt);
+          continue;
+        }
+        return retryAt;
+      }
+      if (!(await lease.renew())) return null;
+      // Another worker fetched the same row: whoever claims it first sends it
+      if (!(await claimEmail(emailRecord, lease.token))) continue;
+      let message;
       try {
-        let personalizedSubject = template.subject;
-        let personalizedBody = template.body;
-        const contact = emailRecord.contact_data || {};
-        const variables = {
-          email: emailRecord.email,
-          firstName: contact.firstName || contact.name?.split(' ')[0] || '',
-          lastName: contact.lastName || contact.name?.split(' ').slice(1).join(' ') || '',
-          company: contact.company || '',
-          position: contact.position || '',
-          ...contact,
-        };
-        Object.entries(variables).forEach(([key, value]) => {
-          const regex = new RegExp(`{{${key}}}`, 'gi');
-          personalizedSubject = personalizedSubject.replace(regex, value || '');
-          personalizedBody = personalizedBody.replace(regex, value || '');
+        message = buildCampaignEmail({
+          campaign,
+          template,
+          emailRecord,
+          senderName: campaign.sender_name,
+          credentials: sender.credentials,
         });
-        const sanitizedSubject = sanitizeEmailHeader(personalizedSubject);
-        const sanitizedSenderName = sanitizeEmailHeader(senderName || credentials.senderName || 'Support Team');
-        const htmlBody = sanitizeHtml(personalizedBody).replace(/\n/g, '<br>');
-        await transporter.sendMail({
-          from: `"${sanitizedSenderName}" <${credentials.emailUser}>`,
-          to: emailRecord.email,
-          subject: sanitizedSubject,
-          html: htmlBody,
-          text: htmlBody.replace(/<[^>]+>/g, ''),
-        });
-        await supabase
-          .from('campaign_emails')
-          .update({ status: 'sent', sent_at: new Date().toISOString() })
-          .eq('id', emailRecord.id);
-        const { error: rpcError } = await supabase.rpc('increment_campaign_sent', { campaign_id: campaignId });
-        if (rpcError) {
-          const { data: currentCampaign } = await supabase
-            .from('campaigns')
-            .select('sent_count')
-            .eq('id', campaignId)
-            .single();
-          if (currentCampaign) {
-            await supabase
-              .from('campaigns')
-              .update({ sent_count: (currentCampaign.sent_count || 0) + 1 })
-              .eq('id', campaignId);
-          }
-        }
+        await domainThrottle?.record(emailRecord);
+      } catch (err) {
+        // Nothing went out: hand the row back instead of leaving it claimed until it expires
+        await releaseEmail(emailRecord, lease.token);
+        throw err;
+      }
+      // Only an SMTP failure counts against the row; errors before the send reach the outer handler
+      let info = null;
+      try {
+        info = await senderPool.transporterFor(sender).sendMail(message);
       } catch (sendError) {
-        await supabase
-          .from('campaign_emails')
-          .update({ status: 'failed', error_message: sendError.message })
-          .eq('id', emailRecord.id);
-        const { error: rpcError } = await supabase.rpc('increment_campaign_failed', { campaign_id: campaignId });
-        if (rpcError) {
-          const { data: currentCampaign } = await supabase
-            .from('campaigns')
-            .select('failed_count')
-            .eq('id', campaignId)
-            .single();
-          if (currentCampaign) {
-            await supabase
-              .from('campaigns')
-              .update({ failed_count: (currentCampaign.failed_count || 0) + 1 })
-              .eq('id', campaignId);
-          }
-        }
+        const failure = await recordSendFailure(campaign, emailRecord, sendError, sender.id);
+        await senderPool.recordFailure(sender, failure, sendError);
+        // Too many failures: the campaign is paused and the remaining rows stay pending
+        if (await pauseIfUnhealthy(campaign, sender)) return null;
+      }
+      if (info) {
+        await recordSendSuccess(campaign, emailRecord, message, info, sender.id);
+        await senderPool.recordSuccess(sender);
+        await incrementCampaignCounter(campaignId, 'sent_count');
       }
       const minDelay = delayMin || LIMITS.DEFAULT_MIN_DELAY_MS;
       const maxDelay = delayMax || LIMITS.DEFAULT_MAX_DELAY_MS;
@@ -151,27 +207,15 @@ export async function processCampaign(campaignId, userId) {
         .eq('id', campaignId);
       await new Promise(resolve => setTimeout(resolve, randomDelay));
     }
-    const { data: remaining } = await supabase
-      .from('campaign_emails')
-      .select('id')
-      .eq('campaign_id', campaignId)
-      .eq('status', 'pending')
-      .limit(1);
-    if (remaining && remaining.length > 0) {
-      setImmediate(() => processCampaign(campaignId, userId));
-    } else {
-      await supabase
-        .from('campaigns')
-        .update({ status: 'completed', completed_at: new Date().toISOString(), credentials_temp: null, template_data: null })
-        .eq('id', campaignId);
-      if (isUpstashConfigured) await campaignQueue.dequeue(campaignId, userId);
-    }
+    if (shouldStop) return null;
+    const nextDue = await getNextDueTime(campaignId);
+    if (nextDue) return nextDue;
+    await completeCampaign(campaignId, userId, CAMPAIGN_ACTORS.PROCESSOR);
+    return null;
   } catch (err) {
-    await supabase
-      .from('campaigns')
-      .update({ status: 'error', error_message: err.message })
-      .eq('id', campaignId);
+    await markCampaignError(campaignId, err.message, CAMPAIGN_ACTORS.PROCESSOR);
+    return null;
   } finally {
-    if (transporter) transporter.close();
+    if (senderPool) senderPool.close();
   }
 }
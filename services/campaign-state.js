@@ -0,0 +1,104 @@
+/**
+ * Campaign State Machine
+ * The only place campaign status changes. Every transition is checked against
+ * CAMPAIGN_TRANSITIONS, applied only while the campaign still has the status
+ * the caller saw (optimistic concurrency), and recorded in campaign_events.
+ */
+
+import { supabase } from '../services/supabase.js';
+
+export const CAMPAIGN_STATES = ['draft', 'scheduled', 'running', 'paused', 'completed', 'stopped', 'error'];
+
+// Allowed next states; completed and stopped are final
+export const CAMPAIGN_TRANSITIONS = {
+  draft: ['scheduled', 'running', 'stopped'],
+  scheduled: ['running', 'paused', 'stopped'],
+  running: ['paused', 'completed', 'stopped', 'error'],
+  // Back to scheduled when paused before its start time
+  paused: ['running', 'scheduled', 'stopped'],
+  error: ['running', 'stopped'],
+  completed: [],
+  stopped: [],
+};
+
+// Who caused a transition
+export const CAMPAIGN_ACTORS = {
+  USER: 'user',
+  SCHEDULER: 'scheduler',
+  PROCESSOR: 'processor',
+  WORKER: 'worker',
+  CIRCUIT_BREAKER: 'circuit_breaker',
+};
+
+export function canTransition(from, to) {
+  return (CAMPAIGN_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Add one row to the audit trail. `from` is null when the campaign was created.
+ * Audit errors are logged and never block the status change itself.
+ */
+export async function recordCampaignEvent({ campaignId, userId, from = null, to, actor, actorId = null, reason = null }) {
+  const { error } = await supabase.from('campaign_events').insert({
+    campaign_id: campaignId,
+    user_id: userId,
+    from_status: from,
+    to_status: to,
+    actor,
+    actor_id: actorId,
+    reason: reason ? String(reason).slice(0, 1000) : null,
+  });
+  if (error) console.error(`Campaign ${campaignId} event log error:`, error.message);
+}
+
+/**
+ * Move a campaign from `from` to `to`, together with any other column `updates`.
+ * Throws (code INVALID_TRANSITION) when the move is not allowed. Returns the
+ * updated campaign, or null when its status was no longer `from`.
+ */
+export async function transitionCampaign(campaignId, { from, to, actor, actorId = null, reason = null, updates = {} }) {
+  if (!canTransition(from, to)) {
+    const err = new Error(`A ${from} campaign cannot become ${to}`);
+    err.code = 'INVALID_TRANSITION';
+    throw err;
+  }
+
+  const { data, error } = await supabase
+    .from('campaigns')
+    .update({ ...updates, status: to })
+    .eq('id', campaignId)
+    .eq('status', from)
+    .select('*');
+  if (error) throw error;
+
+  const campaign = data?.[0];
+  if (!campaign) return null;
+
+  await recordCampaignEvent({ campaignId, userId: campaign.user_id, from, to, actor, actorId, reason });
+  return campaign;
+}
+
+/**
+ * Audit trail of a campaign, newest first: { events, total }
+ */
+export async function getCampaignEvents(campaignId, { from = 0, limit = 50 } = {}) {
+  const { data, count, error } = await supabase
+    .from('campaign_events')
+    .select('from_status, to_status, actor, actor_id, reason, created_at', { count: 'exact' })
+    .eq('campaign_id', campaignId)
+    .order('created_at', { ascending: false })
+    .range(from, from + limit - 1);
+  if (error) throw error;
+
+  return {
+    events: (data || []).map(event => ({
+      from: event.from_status,
+      to: event.to_status,
+      actor: event.actor,
+      actorId: event.actor_id,
+      reason: event.reason,
+      createdAt: event.created_at,
+    })),
+    total: count || 0,
+  };
+}
@@ -0,0 +1,452 @@
+// campaignService.js
+// Shared per-recipient logic used by both the long-running processor and the batch worker.
+
+import { supabase } from '../services/supabase.js';
+import { generateTrackingId, sanitizeEmailHeader, sanitizeHtml } from '../services/helpers.js';
+import { getSuppressionReason } from '../services/suppression.js';
+import { classifySendError, recordBounce } from '../services/bounce-monitor.js';
+import { getNextWindowStart } from '../services/sending-window.js';
+import { resolveContactTimeZone } from '../services/contact-timezones.js';
+import { rewriteLinks, buildOpenPixel } from '../services/tracking.js';
+import { CONFIG } from '../config/index.js';
+
+/**
+ * Mint the signed tracking ID for one recipient.
+ * generateTrackingId hashes its input, so passing the normalised address
+ * makes the stored hash match hashEmail(email).
+ */
+export function createRecipientTrackingId(campaignId, email, userId) {
+  return generateTrackingId(campaignId, email.toLowerCase().trim(), userId);
+}
+
+export function buildUnsubscribeUrl(trackingId) {
+  return `${CONFIG.backendUrl}/api/unsubscribe/${trackingId}`;
+}
+
+/**
+ * Replace {{variable}} placeholders using the contact data
+ */
+export function personalize(text, variables) {
+  let result = text || '';
+  Object.entries(variables).forEach(([key, value]) => {
+    const regex = new RegExp(`{{${key}}}`, 'gi');
+    result = result.replace(regex, value || '');
+  });
+  return result;
+}
+
+/**
+ * Template for a row's sequence step: step 0 is the campaign template,
+ * later steps come from campaign.sequence_steps
+ */
+export function getStepTemplate(campaign, template, step) {
+  if (!step) return template;
+  return campaign.sequence_steps?.[step - 1] || null;
+}
+
+/**
+ * Build the nodemailer message for one campaign_emails row
+ */
+export function buildCampaignEmail({ campaign, template, emailRecord, senderName, credentials }) {
+  const stepTemplate = getStepTemplate(campaign, template, emailRecord.step);
+  if (!stepTemplate) {
+    throw new Error(`Sequence step ${emailRecord.step} no longer exists`);
+  }
+
+  const contact = emailRecord.contact_data || {};
+  const trackingId = createRecipientTrackingId(campaign.id, emailRecord.email, campaign.user_id);
+  const unsubscribeUrl = buildUnsubscribeUrl(trackingId);
+  const variables = {
+    email: emailRecord.email,
+    firstName: contact.firstName || contact.name?.split(' ')[0] || '',
+    lastName: contact.lastName || contact.name?.split(' ').slice(1).join(' ') || '',
+    company: contact.company || '',
+    position: contact.position || '',
+    ...contact,
+    unsubscribeUrl,
+  };
+
+  // Threaded follow-ups reuse the previous subject unless the step sets its own
+  const isThreaded = emailRecord.step > 0 && stepTemplate.threadReply !== false && emailRecord.in_reply_to;
+  const subjectTemplate = stepTemplate.subject || `Re: ${emailRecord.thread_subject || template.subject}`;
+
+  const personalizedSubject = personalize(subjectTemplate, variables);
+  const personalizedBody = personalize(stepTemplate.body, variables);
+  const sanitizedSubject = sanitizeEmailHeader(personalizedSubject);
+  const sanitizedSenderName = sanitizeEmailHeader(senderName || credentials.senderName || 'Support Team');
+  let htmlBody = sanitizeHtml(personalizedBody).replace(/\n/g, '<br>');
+  let textBody = htmlBody.replace(/<[^>]+>/g, '');
+
+  if (campaign.track_clicks !== false) {
+    htmlBody = rewriteLinks(htmlBody, trackingId);
+  }
+
+  // Append a footer unless the template already places the link itself
+  const hasOwnLink = /{{unsubscribeUrl}}/i.test(stepTemplate.body || '');
+  if (campaign.unsubscribe_footer !== false && !hasOwnLink) {
+    htmlBody += `<br><br><p style="font-size:12px;color:#6b7280;">If you would rather not hear from me, <a href="${unsubscribeUrl}">unsubscribe here</a>.</p>`;
+    textBody += `\n\nUnsubscribe: ${unsubscribeUrl}`;
+  }
+
+  if (campaign.track_opens !== false) {
+    htmlBody += buildOpenPixel(trackingId);
+  }
+
+  const headers = {
+    // RFC 8058 one-click unsubscribe (required by Gmail/Yahoo bulk sender rules)
+    'List-Unsubscribe': `<${unsubscribeUrl}>`,
+    'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+  };
+
+  return {
+    from: `"${sanitizedSenderName}" <${credentials.emailUser}>`,
+    to: emailRecord.email,
+    subject: sanitizedSubject,
+    html: htmlBody,
+    text: textBody,
+    headers,
+    ...(isThreaded && {
+      inReplyTo: emailRecord.in_reply_to,
+      references: emailRecord.thread_references || emailRecord.in_reply_to,
+    }),
+  };
+}
+
+// Counter columns incrementCampaignCounter may change
+const CAMPAIGN_COUNTERS = ['sent_count', 'failed_count', 'suppressed_count', 'total_emails'];
+const COUNTER_UPDATE_TRIES = 5;
+
+/**
+ * Add `amount` (default 1, may be negative) to a campaign counter column.
+ * Uses the increment_campaign_counter RPC; without it, a compare-and-set
+ * update that is retried when another worker changed the counter first.
+ */
+export async function incrementCampaignCounter(campaignId, column, amount = 1) {
+  if (!CAMPAIGN_COUNTERS.includes(column)) throw new Error(`Unknown campaign counter: ${column}`);
+
+  const { error: rpcError } = await supabase.rpc('increment_campaign_counter', {
+    campaign_id: campaignId,
+    counter: column,
+    amount,
+  });
+  if (!rpcError) return;
+
+  for (let i = 0; i < COUNTER_UPDATE_TRIES; i++) {
+    const { data: current } = await supabase
+      .from('campaigns')
+      .select(column)
+      .eq('id', campaignId)
+      .single();
+    if (!current) return;
+
+    let query = supabase
+      .from('campaigns')
+      .update({ [column]: Math.max((current[column] || 0) + amount, 0) })
+      .eq('id', campaignId);
+    query = current[column] === null ? query.is(column, null) : query.eq(column, current[column]);
+    const { data: updated } = await query.select('id');
+    if (updated?.length) return;
+  }
+  console.error(`Campaign ${campaignId} ${column} update lost after ${COUNTER_UPDATE_TRIES} tries`);
+}
+
+/**
+ * Re-check the suppression list right before a send.
+ * Marks the row as suppressed and returns true when it must be skipped.
+ */
+export async function skipIfSuppressed(campaign, emailRecord) {
+  const reason = await getSuppressionReason(campaign.user_id, emailRecord.email);
+  if (!reason) return false;
+
+  await supabase
+    .from('campaign_emails')
+    .update({ status: 'suppressed', error_message: reason })
+    .eq('id', emailRecord.id);
+  await incrementCampaignCounter(campaign.id, 'suppressed_count');
+  return true;
+}
+
+/**
+ * Exponential backoff for the given attempt number (1-based)
+ */
+export function getRetryDelay(attempts) {
+  const delay = CONFIG.retryBaseDelayMs * 2 ** Math.max(attempts - 1, 0);
+  return Math.min(delay, CONFIG.retryMaxDelayMs);
+}
+
+/**
+ * Record a failed send: classify the SMTP error, then either defer a
+ * transient failure for a retry with backoff, or mark the row failed
+ * (storing hard bounces on the suppression list).
+ * `senderAccountId` records which mailbox attempted the send.
+ */
+export async function recordSendFailure(campaign, emailRecord, sendError, senderAccountId = null) {
+  const classification = classifySendError(sendError);
+  const attempts = (emailRecord.attempts || 0) + 1;
+  // Nodemailer code (EAUTH, ECONNECTION, ...) or the SMTP reply code, for the circuit breaker
+  const errorCode = sendError.code || (sendError.responseCode ? String(sendError.responseCode) : null);
+  const attemptedAt = new Date().toISOString();
+
+  if (!classification.permanent && attempts < CONFIG.maxSendAttempts) {
+    const retryAt = new Date(Date.now() + getRetryDelay(attempts));
+    await supabase
+      .from('campaign_emails')
+      .update({
+        status: 'deferred',
+        attempts,
+        retry_at: retryAt.toISOString(),
+        error_message: sendError.message,
+        bounce_type: classification.type,
+        error_code: errorCode,
+        last_attempt_at: attemptedAt,
+        ...(senderAccountId && { sender_account_id: senderAccountId }),
+      })
+      .eq('id', emailRecord.id);
+    return { ...classification, deferred: true, retryAt };
+  }
+
+  await supabase
+    .from('campaign_emails')
+    .update({
+      status: 'failed',
+      attempts,
+      retry_at: null,
+      error_message: sendError.message,
+      bounce_type: classification.type,
+      error_code: errorCode,
+      last_attempt_at: attemptedAt,
+      ...(senderAccountId && { sender_account_id: senderAccountId }),
+    })
+    .eq('id', emailRecord.id);
+
+  await recordBounce({
+    userId: campaign.user_id,
+    email: emailRecord.email,
+    campaignId: campaign.id,
+    classification,
+    reason: sendError.response || sendError.message,
+  });
+
+  await incrementCampaignCounter(campaign.id, 'failed_count');
+  return { ...classification, deferred: false };
+}
+
+/**
+ * Mark a row as delivered by `senderAccountId` with the campaign's current
+ * template version, and queue the contact's next sequence step on the same mailbox
+ */
+export async function recordSendSuccess(campaign, emailRecord, message, info, senderAccountId = null) {
+  const sentRecord = senderAccountId ? { ...emailRecord, sender_account_id: senderAccountId } : emailRecord;
+
+  await supabase
+    .from('campaign_emails')
+    .update({
+      status: 'sent',
+      sent_at: new Date().toISOString(),
+      last_attempt_at: new Date().toISOString(),
+      error_code: null,
+      attempts: (emailRecord.attempts || 0) + 1,
+      retry_at: null,
+      local_window_at: null,
+      subject: message.subject,
+      message_id: info?.messageId || null,
+      sender_account_id: sentRecord.sender_account_id || null,
+      template_version: campaign.template_version || 1,
+    })
+    .eq('id', emailRecord.id);
+
+  await scheduleNextStep(campaign, sentRecord, message, info);
+}
+
+/**
+ * Insert the follow-up row for the step after the one just sent.
+ * Sequences end on their own when a step is suppressed, fails or is
+ * cancelled, because only a successful send schedules the next one.
+ */
+export async function scheduleNextStep(campaign, emailRecord, message, info) {
+  const step = emailRecord.step || 0;
+  const nextStep = campaign.sequence_steps?.[step];
+  if (!nextStep) return null;
+
+  const messageId = info?.messageId || null;
+  const references = [emailRecord.thread_references, messageId].filter(Boolean).join(' ');
+  const sendAfter = new Date(Date.now() + nextStep.delayDays * 24 * 60 * 60 * 1000);
+
+  const { data, error } = await supabase
+    .from('campaign_emails')
+    .insert({
+      campaign_id: campaign.id,
+      user_id: campaign.user_id,
+      email: emailRecord.email,
+      contact_data: emailRecord.contact_data,
+      status: 'pending',
+      sort_order: emailRecord.sort_order,
+      step: step + 1,
+      parent_email_id: emailRecord.id,
+      send_after: sendAfter.toISOString(),
+      in_reply_to: messageId,
+      thread_references: references || null,
+      thread_subject: message.subject.replace(/^(re:\s*)+/i, ''),
+      sender_account_id: emailRecord.sender_account_id || null,
+    })
+    .select('id')
+    .single();
+
+  if (error) {
+    console.error(`Failed to schedule step ${step + 1} for ${emailRecord.email}:`, error.message);
+    return null;
+  }
+
+  await incrementCampaignCounter(campaign.id, 'total_emails');
+  return data;
+}
+
+/**
+ * Stop a contact's sequence after they replied: flag their rows and
+ * cancel any follow-up that has not gone out yet
+ */
+export async function markContactReplied(campaignId, email) {
+  const pattern = email.replace(/[%_\\]/g, '\\$&');
+  const repliedAt = new Date().toISOString();
+
+  const { data: cancelled, error } = await supabase
+    .from('campaign_emails')
+    .update({ status: 'cancelled', retry_at: null, error_message: 'Contact replied' })
+    .eq('campaign_id', campaignId)
+    .ilike('email', pattern)
+    .in('status', ['pending', 'deferred'])
+    .select('id');
+  if (error) throw error;
+
+  const { data: updated, error: replyError } = await supabase
+    .from('campaign_emails')
+    .update({ replied_at: repliedAt })
+    .eq('campaign_id', campaignId)
+    .ilike('email', pattern)
+    .is('replied_at', null)
+    .select('id');
+  if (replyError) throw replyError;
+
+  return { matched: (updated || []).length, cancelled: (cancelled || []).length };
+}
+
+/**
+ * When the campaign sends in each recipient's local time, skip a contact
+ * that is outside the window there. The row stays pending with send_after
+ * pushed to its next local opening, so it does not block the batch.
+ */
+export async function deferIfOutsideLocalWindow(campaign, emailRecord, now = new Date()) {
+  const window = campaign.sending_window;
+  if (!window || !campaign.use_recipient_timezone) return false;
+
+  const timeZone = resolveContactTimeZone(emailRecord.contact_data) || window.timezone;
+  const opensAt = getNextWindowStart(window, now, timeZone);
+  if (!opensAt || opensAt <= now) return false;
+
+  await supabase
+    .from('campaign_emails')
+    .update({ send_after: opensAt.toISOString(), local_window_at: opensAt.toISOString() })
+    .eq('id', emailRecord.id);
+  return true;
+}
+
+/**
+ * Campaign-wide window check. Returns the next open slot when the campaign
+ * must wait, or null when it may send now. Recipient-timezone campaigns
+ * are checked per contact instead.
+ */
+export function getCampaignWindowWait(campaign, now = new Date()) {
+  if (!campaign.sending_window || campaign.use_recipient_timezone) return null;
+  const opensAt = getNextWindowStart(campaign.sending_window, now);
+  return opensAt > now ? opensAt : null;
+}
+
+/**
+ * Count contacts waiting for their local sending window
+ */
+export async function countWaitingForLocalWindow(campaignId) {
+  const { count } = await supabase
+    .from('campaign_emails')
+    .select('id', { count: 'exact', head: true })
+    .eq('campaign_id', campaignId)
+    .eq('status', 'pending')
+    .gt('local_window_at', new Date().toISOString());
+  return count || 0;
+}
+
+/**
+ * Fetch rows that are ready to send: pending ones (whose follow-up delay
+ * has passed) plus deferred retries that are due
+ */
+export async function fetchDueEmails(campaignId, limit) {
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from('campaign_emails')
+    .select('*')
+    .eq('campaign_id', campaignId)
+    .or(`status.eq.pending,and(status.eq.deferred,retry_at.lte."${now}")`)
+    .or(`send_after.is.null,send_after.lte."${now}"`)
+    .order('sort_order')
+    .order('step')
+    .limit(limit);
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * When is the next outstanding row due?
+ * Returns null when nothing is left to send, otherwise a Date (in the past when due now).
+ */
+export async function getNextDueTime(campaignId) {
+  const [
+    { data: pending, error: pendingError },
+    { data: deferred, error: deferredError },
+    { data: sending, error: sendingError },
+  ] = await Promise.all([
+    supabase
+      .from('campaign_emails')
+      .select('send_after')
+      .eq('campaign_id', campaignId)
+      .eq('status', 'pending')
+      .order('send_after', { ascending: true, nullsFirst: true })
+      .limit(1),
+    supabase
+      .from('campaign_emails')
+      .select('retry_at')
+      .eq('campaign_id', campaignId)
+      .eq('status', 'deferred')
+      .order('retry_at', { ascending: true })
+      .limit(1),
+    // Rows another worker is sending right now; due again only if that claim expires
+    supabase
+      .from('campaign_emails')
+      .select('claim_expires_at')
+      .eq('campaign_id', campaignId)
+      .eq('status', 'sending')
+      .order('claim_expires_at', { ascending: true })
+      .limit(1),
+  ]);
+  if (pendingError) throw pendingError;
+  if (deferredError) throw deferredError;
+  if (sendingError) throw sendingError;
+
+  const candidates = [
+    ...(pending || []).map(row => (row.send_after ? new Date(row.send_after) : new Date())),
+    ...(deferred || []).map(row => (row.retry_at ? new Date(row.retry_at) : new Date())),
+    ...(sending || []).map(row => (row.claim_expires_at ? new Date(row.claim_expires_at) : new Date())),
+  ];
+  if (candidates.length === 0) return null;
+  return new Date(Math.min(...candidates.map(date => date.getTime())));
+}
+
+/**
+ * Count rows waiting for a retry
+ */
+export async function countDeferredEmails(campaignId) {
+  const { count } = await supabase
+    .from('campaign_emails')
+    .select('id', { count: 'exact', head: true })
+    .eq('campaign_id', campaignId)
+    .eq('status', 'deferred');
+  return count || 0;
+}
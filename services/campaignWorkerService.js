@@ -2,106 +2,167 @@
 // Contains core logic for campaign batch processing, separated from the route handler.
 
 import { supabase } from '../services/supabase.js';
-import { createTransporterFromCredentials } from '../services/email.js';
-import { sanitizeEmailHeader, sanitizeHtml } from '../services/helpers.js';
+import {
+  buildCampaignEmail,
+  skipIfSuppressed,
+  recordSendFailure,
+  recordSendSuccess,
+  incrementCampaignCounter,
+  fetchDueEmails,
+  getNextDueTime,
+  getCampaignWindowWait,
+  deferIfOutsideLocalWindow,
+} from '../services/campaignService.js';
 import { campaignQueue, isUpstashConfigured } from '../services/redis.js';
+import { createSenderPool, deferForSender } from '../services/sender-pool.js';
+import { createDomainThrottle, deferForDomain } from '../services/domain-throttle.js';
+import { pauseIfUnhealthy } from '../services/circuit-breaker.js';
+import { transitionCampaign, CAMPAIGN_ACTORS } from '../services/campaign-state.js';
+import { acquireCampaignLease, claimEmail, releaseEmail, reclaimExpiredEmails } from '../services/campaign-lease.js';
 
 // Configuration for batch processing
 import { isVercel } from '../config/index.js';
 const BATCH_CONFIG = {
   MAX_EMAILS_PER_RUN: isVercel ? 3 : 10,
+  // Rows fetched per send slot, so contacts outside their local window or over a domain limit can be skipped
+  LOOKAHEAD_FACTOR: 5,
   MIN_INTERNAL_DELAY: 2000,
 };
 
 export async function processCampaignBatch(campaign) {
-  const result = { processed: 0, sent: 0, failed: 0, completed: false };
-  let transporter = null;
+  const result = { processed: 0, sent: 0, failed: 0, suppressed: 0, deferred: 0, waitingForWindow: 0, waitingForSender: 0, throttled: 0, claimedElsewhere: 0, completed: false, outsideWindow: false, sendersCapped: false, autoPaused: false, busy: false };
+  // Another invocation is already working on this campaign
+  const lease = await acquireCampaignLease(campaign.id);
+  if (!lease) {
+    result.busy = true;
+    return result;
+  }
+  let senderPool = null;
   try {
-    let credentials = null;
-    if (isUpstashConfigured) {
-      const queueData = await campaignQueue.getStatus(campaign.id, campaign.user_id);
-      credentials = queueData?.credentials;
-    } else if (campaign.credentials_temp) {
-      credentials = JSON.parse(campaign.credentials_temp);
-    }
-    if (!credentials) {
-      await markCampaignError(campaign.id, 'Missing credentials - please resume campaign with credentials');
+    await reclaimExpiredEmails(campaign.id);
+    senderPool = await createSenderPool(campaign);
+    if (!senderPool.size) {
+      await markCampaignError(campaign.id, 'Missing sender account - please resume campaign with a senderAccountId');
       return result;
     }
-    transporter = createTransporterFromCredentials(credentials);
-    const { data: pendingEmails, error: emailsError } = await supabase
-      .from('campaign_emails')
-      .select('*')
-      .eq('campaign_id', campaign.id)
-      .eq('status', 'pending')
-      .order('sort_order')
-      .limit(BATCH_CONFIG.MAX_EMAILS_PER_RUN);
-    if (emailsError) throw emailsError;
-    if (!pendingEmails || pendingEmails.length === 0) {
+    const fetchLimit = campaign.use_recipient_timezone || campaign.domain_throttle
+      ? BATCH_CONFIG.MAX_EMAILS_PER_RUN * BATCH_CONFIG.LOOKAHEAD_FACTOR
+      : BATCH_CONFIG.MAX_EMAILS_PER_RUN;
+    const pendingEmails = await fetchDueEmails(campaign.id, fetchLimit);
+    if (pendingEmails.length === 0) {
+      const nextDue = await getNextDueTime(campaign.id);
+      if (nextDue) {
+        // Only retries that are not due yet remain
+        await supabase
+          .from('campaigns')
+          .update({ next_email_at: nextDue.toISOString() })
+          .eq('id', campaign.id);
+        return result;
+      }
       await completeCampaign(campaign.id, campaign.user_id);
       result.completed = true;
       return result;
     }
-    let template = { subject: campaign.template_subject, body: campaign.template_body };
-    let templateData = {};
-    if (campaign.template_data) templateData = JSON.parse(campaign.template_data);
-    if (isUpstashConfigured) {
-      const queueData = await campaignQueue.getStatus(campaign.id, campaign.user_id);
-      if (queueData?.template) template = queueData.template;
+    // Outside the sending window: push the next send to the next open slot
+    const opensAt = getCampaignWindowWait(campaign);
+    if (opensAt) {
+      await supabase
+        .from('campaigns')
+        .update({ next_email_at: opensAt.toISOString() })
+        .eq('id', campaign.id);
+      result.outsideWindow = true;
+      return result;
     }
-    const senderName = campaign.sender_name || credentials.senderName;
+    const template = { subject: campaign.template_subject, body: campaign.template_body };
+    const domainThrottle = createDomainThrottle(campaign);
     for (const emailRecord of pendingEmails) {
-      try {
-        const { data: currentCampaign } = await supabase
-          .from('campaigns')
-          .select('status')
-          .eq('id', campaign.id)
-          .single();
-        if (currentCampaign?.status !== 'running') break;
-        const contact = emailRecord.contact_data || {};
-        const variables = {
-          email: emailRecord.email,
-          firstName: contact.firstName || contact.name?.split(' ')[0] || '',
-          lastName: contact.lastName || contact.name?.split(' ').slice(1).join(' ') || '',
-          company: contact.company || '',
-          position: contact.position || '',
-          ...contact,
-        };
-        let personalizedSubject = template.subject;
-        let personalizedBody = template.body;
-        Object.entries(variables).forEach(([key, value]) => {
-          const regex = new RegExp(`{{${key}}}`, 'gi');
-          personalizedSubject = personalizedSubject.replace(regex, value || '');
-          personalizedBody = personalizedBody.replace(regex, value || '');
-        });
-        const sanitizedSubject = sanitizeEmailHeader(personalizedSubject);
-        const sanitizedSenderName = sanitizeEmailHeader(senderName || 'Support Team');
-        const htmlBody = sanitizeHtml(personalizedBody).replace(/\n/g, '<br>');
-        await transporter.sendMail({
-          from: `"${sanitizedSenderName}" <${credentials.emailUser}>`,
-          to: emailRecord.email,
-          subject: sanitizedSubject,
-          html: htmlBody,
-          text: htmlBody.replace(/<[^>]+>/g, ''),
-        });
-        await supabase
-          .from('campaign_emails')
-          .update({ status: 'sent', sent_at: new Date().toISOString() })
-          .eq('id', emailRecord.id);
-        await incrementCampaignSent(campaign.id);
-        result.sent++;
+      // Extra rows were only fetched to fill slots left by contacts outside their window
+      if (result.sent + result.failed + result.deferred >= BATCH_CONFIG.MAX_EMAILS_PER_RUN) break;
+      if (await deferIfOutsideLocalWindow(campaign, emailRecord)) {
+        result.waitingForWindow++;
+        continue;
+      }
+      const { data: currentCampaign } = await supabase
+        .from('campaigns')
+        .select('status')
+        .eq('id', campaign.id)
+        .single();
+      if (currentCampaign?.status !== 'running') break;
+      if (await skipIfSuppressed(campaign, emailRecord)) {
+        result.suppressed++;
         result.processed++;
-        if (pendingEmails.indexOf(emailRecord) < pendingEmails.length - 1) {
-          await sleep(BATCH_CONFIG.MIN_INTERNAL_DELAY);
+        continue;
+      }
+      // Recipient domain or provider over its hourly limit: move on to other contacts
+      const throttled = await domainThrottle?.check(emailRecord);
+      if (throttled) {
+        await deferForDomain(emailRecord, throttled.retryAt);
+        result.throttled++;
+        continue;
+      }
+      const { sender, pinned, retryAt } = await senderPool.senderFor(emailRecord);
+      if (!sender) {
+        // A follow-up waits for its own mailbox; otherwise every mailbox is capped
+        if (pinned) {
+          await deferForSender(emailRecord, retryAt);
+          result.waitingForSender++;
+          continue;
         }
-      } catch (sendError) {
         await supabase
-          .from('campaign_emails')
-          .update({ status: 'failed', error_message: sendError.message })
-          .eq('id', emailRecord.id);
-        await incrementCampaignFailed(campaign.id);
-        result.failed++;
+          .from('campaigns')
+          .update({ next_email_at: retryAt.toISOString() })
+          .eq('id', campaign.id);
+        result.sendersCapped = true;
+        return result;
+      }
+      if (!(await lease.renew())) break;
+      // Fetched by another invocation too: whoever claims the row first sends it
+      if (!(await claimEmail(emailRecord, lease.token))) {
+        result.claimedElsewhere++;
+        continue;
+      }
+      let message;
+      try {
+        message = buildCampaignEmail({
+          campaign,
+          template,
+          emailRecord,
+          senderName: campaign.sender_name,
+          credentials: sender.credentials,
+        });
+        await domainThrottle?.record(emailRecord);
+      } catch (err) {
+        // Nothing went out: hand the row back instead of leaving it claimed until it expires
+        await releaseEmail(emailRecord, lease.token);
+        throw err;
+      }
+      // Only an SMTP failure counts against the row; errors before the send reach the outer handler
+      let info;
+      try {
+        info = await senderPool.transporterFor(sender).sendMail(message);
+      } catch (sendError) {
+        const failure = await recordSendFailure(campaign, emailRecord, sendError, sender.id);
+        await senderPool.recordFailure(sender, failure, sendError);
+        if (failure.deferred) {
+          result.deferred++;
+        } else {
+          result.failed++;
+        }
         result.processed++;
+        // Too many failures: the campaign is paused and the remaining rows stay pending
+        if (await pauseIfUnhealthy(campaign, sender)) {
+          result.autoPaused = true;
+          return result;
+        }
+        continue;
+      }
+      await recordSendSuccess(campaign, emailRecord, message, info, sender.id);
+      await senderPool.recordSuccess(sender);
+      await incrementCampaignCounter(campaign.id, 'sent_count');
+      result.sent++;
+      result.processed++;
+      if (pendingEmails.indexOf(emailRecord) < pendingEmails.length - 1) {
+        await sleep(BATCH_CONFIG.MIN_INTERNAL_DELAY);
       }
     }
     const nextEmailAt = new Date(Date.now() + 60000).toISOString();
@@ -114,63 +175,75 @@ export async function processCampaignBatch(campaign) {
     await markCampaignError(campaign.id, err.message);
     return result;
   } finally {
-    if (transporter) transporter.close();
+    if (senderPool) senderPool.close();
+    await lease.release();
   }
 }
 
-export async function completeCampaign(campaignId, userId) {
-  await supabase
-    .from('campaigns')
-    .update({
-      status: 'completed',
-      completed_at: new Date().toISOString(),
-      credentials_temp: null,
-      template_data: null,
-    })
-    .eq('id', campaignId);
-  if (isUpstashConfigured) {
+/**
+ * Finish a running campaign. Nothing happens if it was paused or stopped meanwhile.
+ */
+export async function completeCampaign(campaignId, userId, actor = CAMPAIGN_ACTORS.WORKER) {
+  const completed = await transitionCampaign(campaignId, {
+    from: 'running',
+    to: 'completed',
+    actor,
+    reason: 'No emails left to send',
+    updates: { completed_at: new Date().toISOString() },
+  });
+  if (completed && isUpstashConfigured) {
     await campaignQueue.dequeue(campaignId, userId);
   }
 }
 
-export async function markCampaignError(campaignId, errorMessage) {
-  await supabase
+/**
+ * Move scheduled campaigns whose start time has arrived to running
+ */
+export async function activateScheduledCampaigns() {
+  const { data, error } = await supabase
     .from('campaigns')
-    .update({ status: 'error', error_message: errorMessage })
-    .eq('id', campaignId);
-}
+    .select('id, user_id')
+    .eq('status', 'scheduled')
+    .lte('scheduled_at', new Date().toISOString());
+  if (error) throw error;
 
-export async function incrementCampaignSent(campaignId) {
-  const { error: rpcError } = await supabase.rpc('increment_campaign_sent', { campaign_id: campaignId });
-  if (rpcError) {
-    const { data: current } = await supabase
-      .from('campaigns')
-      .select('sent_count')
-      .eq('id', campaignId)
-      .single();
-    if (current) {
-      await supabase
-        .from('campaigns')
-        .update({ sent_count: (current.sent_count || 0) + 1 })
-        .eq('id', campaignId);
-    }
+  const activated = [];
+  for (const campaign of data || []) {
+    if (await activateScheduledCampaign(campaign.id)) activated.push(campaign);
   }
+  return activated;
 }
 
-export async function incrementCampaignFailed(campaignId) {
-  const { error: rpcError } = await supabase.rpc('increment_campaign_failed', { campaign_id: campaignId });
-  if (rpcError) {
-    const { data: current } = await supabase
-      .from('campaigns')
-      .select('failed_count')
-      .eq('id', campaignId)
-      .single();
-    if (current) {
-      await supabase
-        .from('campaigns')
-        .update({ failed_count: (current.failed_count || 0) + 1 })
-        .eq('id', campaignId);
-    }
+/**
+ * Start one scheduled campaign. Returns false if it was paused, stopped
+ * or already started in the meantime.
+ */
+export async function activateScheduledCampaign(campaignId) {
+  const campaign = await transitionCampaign(campaignId, {
+    from: 'scheduled',
+    to: 'running',
+    actor: CAMPAIGN_ACTORS.SCHEDULER,
+    reason: 'Scheduled start time reached',
+    updates: { started_at: new Date().toISOString() },
+  });
+  return !!campaign;
+}
+
+/**
+ * Put a running campaign into error. A campaign that was paused or stopped
+ * in the meantime keeps its status.
+ */
+export async function markCampaignError(campaignId, errorMessage, actor = CAMPAIGN_ACTORS.WORKER) {
+  try {
+    await transitionCampaign(campaignId, {
+      from: 'running',
+      to: 'error',
+      actor,
+      reason: errorMessage,
+      updates: { error_message: errorMessage },
+    });
+  } catch (err) {
+    console.error(`Campaign ${campaignId} error status update failed:`, err.message);
   }
 }
 
@@ -0,0 +1,198 @@
+/**
+ * Campaign Circuit Breaker
+ * Watches the most recent send attempts of a campaign and of the sender
+ * account that made them. When the failure rate, the hard-bounce rate or the
+ * run of consecutive SMTP auth errors crosses its threshold, the campaign is
+ * paused with a readable error_message. Pending rows are left untouched so
+ * /resume continues where sending stopped.
+ */
+
+import { supabase } from '../services/supabase.js';
+import { CONFIG } from '../config/index.js';
+import { BOUNCE_TYPES } from '../services/bounce-monitor.js';
+import { campaignQueue, isUpstashConfigured } from '../services/redis.js';
+import { transitionCampaign, CAMPAIGN_ACTORS } from '../services/campaign-state.js';
+
+export const BREAKER_REASONS = {
+  FAILURE_RATE: 'failure_rate',
+  HARD_BOUNCE_RATE: 'hard_bounce_rate',
+  AUTH_ERRORS: 'auth_errors',
+};
+
+const RATE_FIELDS = ['maxFailureRate', 'maxHardBounceRate'];
+const COUNT_FIELDS = ['window', 'minAttempts', 'maxConsecutiveAuthErrors'];
+
+/**
+ * Validate per-campaign overrides from the API. Throws with a readable message.
+ */
+export function normalizeBreakerConfig(config) {
+  if (config === null || config === undefined) return null;
+  if (typeof config !== 'object' || Array.isArray(config)) throw new Error('circuitBreaker must be an object');
+
+  const normalized = {};
+  for (const field of RATE_FIELDS) {
+    if (config[field] === undefined) continue;
+    const rate = Number(config[field]);
+    if (!Number.isFinite(rate) || rate <= 0 || rate > 1) throw new Error(`circuitBreaker.${field} must be above 0 and at most 1`);
+    normalized[field] = rate;
+  }
+  for (const field of COUNT_FIELDS) {
+    if (config[field] === undefined) continue;
+    const count = Number(config[field]);
+    if (!Number.isInteger(count) || count < 1 || count > 500) throw new Error(`circuitBreaker.${field} must be an integer between 1 and 500`);
+    normalized[field] = count;
+  }
+  return Object.keys(normalized).length ? normalized : null;
+}
+
+export function getBreakerThresholds(campaign) {
+  return { ...CONFIG.circuitBreaker, ...(campaign.circuit_breaker || {}) };
+}
+
+/**
+ * Health of a list of attempts (newest first).
+ * Returns { attempts, failureRate, hardBounceRate, consecutiveAuthErrors, reason }
+ * where reason is the BREAKER_REASONS value that tripped, or null.
+ */
+export function evaluateAttempts(rows, thresholds) {
+  const attempts = rows.length;
+  const failures = rows.filter(row => row.status === 'failed' || row.status === 'deferred').length;
+  const hardBounces = rows.filter(row => row.status === 'failed' && row.bounce_type === BOUNCE_TYPES.HARD).length;
+
+  let consecutiveAuthErrors = 0;
+  for (const row of rows) {
+    if (row.error_code !== 'EAUTH') break;
+    consecutiveAuthErrors++;
+  }
+
+  const health = {
+    attempts,
+    failureRate: attempts ? failures / attempts : 0,
+    hardBounceRate: attempts ? hardBounces / attempts : 0,
+    consecutiveAuthErrors,
+    reason: null,
+  };
+
+  if (consecutiveAuthErrors >= thresholds.maxConsecutiveAuthErrors) {
+    health.reason = BREAKER_REASONS.AUTH_ERRORS;
+  } else if (attempts >= thresholds.minAttempts && health.hardBounceRate >= thresholds.maxHardBounceRate) {
+    health.reason = BREAKER_REASONS.HARD_BOUNCE_RATE;
+  } else if (attempts >= thresholds.minAttempts && health.failureRate >= thresholds.maxFailureRate) {
+    health.reason = BREAKER_REASONS.FAILURE_RATE;
+  }
+  return health;
+}
+
+function describeTrip(health, thresholds, subject) {
+  const percent = value => `${Math.round(value * 100)}%`;
+  switch (health.reason) {
+    case BREAKER_REASONS.AUTH_ERRORS:
+      return `Auto-paused: ${health.consecutiveAuthErrors} SMTP authentication errors in a row for ${subject}. Check the sender account credentials, then resume.`;
+    case BREAKER_REASONS.HARD_BOUNCE_RATE:
+      return `Auto-paused: ${percent(health.hardBounceRate)} of the last ${health.attempts} sends from ${subject} hard-bounced (limit ${percent(thresholds.maxHardBounceRate)}). Clean the contact list, then resume.`;
+    default:
+      return `Auto-paused: ${percent(health.failureRate)} of the last ${health.attempts} sends from ${subject} failed (limit ${percent(thresholds.maxFailureRate)}). Check the sender account, then resume.`;
+  }
+}
+
+async function fetchRecentAttempts(column, value, since, limit) {
+  let query = supabase
+    .from('campaign_emails')
+    .select('status, bounce_type, error_code')
+    .eq(column, value)
+    .not('last_attempt_at', 'is', null)
+    .order('last_attempt_at', { ascending: false })
+    .limit(limit);
+  if (since) query = query.gt('last_attempt_at', since);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Check the campaign and the sender account after a failed send.
+ * Attempts before the campaign's last resume are ignored.
+ * Returns null, or { scope, reason, message, health } when the breaker trips.
+ */
+export async function checkCampaignHealth(campaign, sender = null) {
+  const thresholds = getBreakerThresholds(campaign);
+  const since = campaign.breaker_reset_at || null;
+
+  const campaignHealth = evaluateAttempts(
+    await fetchRecentAttempts('campaign_id', campaign.id, since, thresholds.window),
+    thresholds
+  );
+  if (campaignHealth.reason) {
+    return {
+      scope: 'campaign',
+      reason: campaignHealth.reason,
+      message: describeTrip(campaignHealth, thresholds, 'this campaign'),
+      health: campaignHealth,
+    };
+  }
+
+  if (!sender) return null;
+  const senderHealth = evaluateAttempts(
+    await fetchRecentAttempts('sender_account_id', sender.id, since, thresholds.window),
+    thresholds
+  );
+  if (senderHealth.reason) {
+    return {
+      scope: 'sender',
+      senderAccountId: sender.id,
+      reason: senderHealth.reason,
+      message: describeTrip(senderHealth, thresholds, sender.credentials?.emailUser || 'the sender account'),
+      health: senderHealth,
+    };
+  }
+  return null;
+}
+
+/**
+ * Pause a running campaign because the breaker tripped.
+ * Returns false when it was no longer running.
+ */
+export async function tripCircuitBreaker(campaign, trip) {
+  const now = new Date().toISOString();
+  const paused = await transitionCampaign(campaign.id, {
+    from: 'running',
+    to: 'paused',
+    actor: CAMPAIGN_ACTORS.CIRCUIT_BREAKER,
+    reason: trip.message,
+    updates: {
+      paused_at: now,
+      error_message: trip.message,
+      breaker_trip: { ...trip, trippedAt: now },
+    },
+  });
+  // Already paused or stopped by someone else
+  if (!paused) return false;
+
+  if (isUpstashConfigured) {
+    await campaignQueue.updateProgress(campaign.id, campaign.user_id, { status: 'paused' });
+  }
+  if (trip.senderAccountId) {
+    await supabase
+      .from('sender_accounts')
+      .update({ last_error: trip.message })
+      .eq('id', trip.senderAccountId);
+  }
+  console.warn(`⛔ Campaign ${campaign.id} auto-paused (${trip.scope}: ${trip.reason})`);
+  return true;
+}
+
+/**
+ * Run after a failed send: pause the campaign when the breaker trips.
+ * Returns true when it was paused. Monitoring errors never stop sending.
+ */
+export async function pauseIfUnhealthy(campaign, sender = null) {
+  try {
+    const trip = await checkCampaignHealth(campaign, sender);
+    if (!trip) return false;
+    return await tripCircuitBreaker(campaign, trip);
+  } catch (err) {
+    console.error(`Campaign ${campaign.id} health check error:`, err.message);
+    return false;
+  }
+}
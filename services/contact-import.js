@@ -0,0 +1,112 @@
+/**
+ * Contact Import
+ * Parses uploaded CSV files into contacts ({ email, ...variables }) and
+ * reports rows that are invalid, duplicated, low quality or suppressed.
+ */
+
+import { Readable } from 'stream';
+import csv from 'csv-parser';
+import { getSuppressedEmails } from '../services/suppression.js';
+import { assessContacts } from '../services/contact-quality.js';
+
+// Header spellings that all mean the recipient address
+const EMAIL_HEADERS = ['email', 'emailaddress', 'mail'];
+
+/**
+ * Turn a CSV header into a template variable name:
+ * "Email" -> "email", "First Name" -> "firstName", "company_name" -> "companyName"
+ */
+export function normalizeHeader(header) {
+  const words = String(header || '')
+    .replace(/^\uFEFF/, '')
+    .trim()
+    .split(/[^a-zA-Z0-9]+/)
+    .filter(Boolean);
+  if (words.length === 0) return '';
+
+  if (EMAIL_HEADERS.includes(words.join('').toLowerCase())) return 'email';
+
+  return words
+    .map((word, index) => {
+      // Keep camelCase headers ("firstName") as they are, only lowercase the first letter
+      const lower = word === word.toUpperCase() ? word.toLowerCase() : word;
+      return index === 0
+        ? lower.charAt(0).toLowerCase() + lower.slice(1)
+        : lower.charAt(0).toUpperCase() + lower.slice(1);
+    })
+    .join('');
+}
+
+/**
+ * Parse a CSV buffer into row objects keyed by variable name.
+ * `mapping` maps raw CSV headers to variable names and wins over normalisation;
+ * columns mapped to an empty value are dropped.
+ */
+export function parseContactsCsv(buffer, mapping = {}) {
+  const mapped = new Map(
+    Object.entries(mapping).map(([header, variable]) => [String(header).trim().toLowerCase(), variable])
+  );
+
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    Readable.from(buffer)
+      .pipe(csv({
+        mapHeaders: ({ header }) => {
+          const key = header.replace(/^\uFEFF/, '').trim().toLowerCase();
+          if (mapped.has(key)) return mapped.get(key) || null;
+          return normalizeHeader(header) || null;
+        },
+        mapValues: ({ value }) => (typeof value === 'string' ? value.trim() : value),
+        strict: false,
+      }))
+      .on('data', row => rows.push(row))
+      .on('error', reject)
+      .on('end', () => resolve(rows));
+  });
+}
+
+/**
+ * Validate parsed rows for a user.
+ * `options` are passed to assessContacts ({ policy, normalizeGmail }).
+ * Row numbers in the report are CSV line numbers (the header is line 1).
+ *
+ * Returns { contacts, rejected, report: { total, imported, invalid, duplicates,
+ * roleAccounts, disposable, skipped, suppressed } }
+ */
+export async function buildImportReport(userId, rows, options = {}) {
+  const quality = assessContacts(rows, options);
+  const toRow = (index) => index + 2;
+  const withRow = ({ index, ...entry }) => ({ row: toRow(index), ...entry });
+
+  const suppressedEmails = await getSuppressedEmails(userId, quality.contacts.map(contact => contact.email));
+  const suppressed = [];
+  const imported = [];
+
+  quality.contacts.forEach((contact, i) => {
+    const reason = suppressedEmails.get(contact.email);
+    if (reason) {
+      suppressed.push({ row: toRow(quality.indexes[i]), email: contact.email, reason });
+    } else {
+      imported.push(contact);
+    }
+  });
+
+  return {
+    contacts: imported,
+    rejected: quality.rejected,
+    report: {
+      total: rows.length,
+      imported: imported.length,
+      invalid: quality.invalid.map(withRow),
+      duplicates: quality.duplicates.map(({ index, duplicateOf, ...entry }) => ({
+        row: toRow(index),
+        ...entry,
+        duplicateOf: toRow(duplicateOf),
+      })),
+      roleAccounts: quality.roleAccounts.map(withRow),
+      disposable: quality.disposable.map(withRow),
+      skipped: quality.skipped,
+      suppressed,
+    },
+  };
+}
@@ -0,0 +1,181 @@
+/**
+ * Contact Quality
+ * Syntax, normalisation, role-account, disposable-domain and duplicate
+ * checks for recipient lists, applied with a warn / skip / reject policy.
+ */
+
+import { DISPOSABLE_DOMAINS } from '../services/disposable-domains.js';
+
+export const QUALITY_POLICIES = ['warn', 'skip', 'reject'];
+
+export const QUALITY_ISSUES = {
+  INVALID: 'invalid_syntax',
+  DUPLICATE: 'duplicate',
+  ROLE_ACCOUNT: 'role_account',
+  DISPOSABLE: 'disposable_domain',
+};
+
+// Shared mailboxes that rarely belong to one person and hurt cold-email deliverability
+const ROLE_ACCOUNTS = new Set([
+  'abuse', 'accounting', 'accounts', 'admin', 'administrator', 'all', 'billing', 'careers',
+  'community', 'compliance', 'contact', 'contactus', 'customercare', 'customerservice',
+  'customersupport', 'dev', 'devnull', 'enquiries', 'enquiry', 'events', 'everyone', 'feedback',
+  'finance', 'hello', 'help', 'helpdesk', 'hi', 'hostmaster', 'hr', 'info', 'information',
+  'inquiries', 'inquiry', 'investors', 'it', 'jobs', 'legal', 'mail', 'mailer-daemon',
+  'marketing', 'media', 'news', 'newsletter', 'no-reply', 'noc', 'noreply', 'office', 'ops',
+  'orders', 'partners', 'postmaster', 'pr', 'press', 'privacy', 'recruiting', 'recruitment',
+  'root', 'sales', 'security', 'service', 'staff', 'support', 'sysadmin', 'team', 'tech',
+  'webmaster', 'welcome',
+]);
+
+const GMAIL_DOMAINS = ['gmail.com', 'googlemail.com'];
+
+// RFC 5322 dot-atom local part and RFC 1035 hostname labels
+const ATOM = "[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+";
+const LOCAL_DOT_ATOM = new RegExp(`^${ATOM}(\\.${ATOM})*$`);
+const LOCAL_QUOTED = /^"([\x20\x21\x23-\x5b\x5d-\x7e]|\\[\x20-\x7e])*"$/;
+const DOMAIN_LABEL = /^[A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?$/;
+const TLD = /^([A-Za-z]{2,63}|xn--[A-Za-z0-9-]{1,59})$/;
+const IPV4_LITERAL = /^\[(25[0-5]|2[0-4]\d|1?\d?\d)(\.(25[0-5]|2[0-4]\d|1?\d?\d)){3}\]$/;
+
+/**
+ * RFC 5321/5322 address syntax (dot-atom or quoted local part; hostname or IPv4 literal)
+ */
+export function isValidEmailSyntax(email) {
+  if (typeof email !== 'string' || email.length > 254) return false;
+  const at = email.lastIndexOf('@');
+  if (at < 1 || at === email.length - 1) return false;
+
+  const local = email.slice(0, at);
+  const domain = email.slice(at + 1);
+  if (local.length > 64) return false;
+  if (!LOCAL_DOT_ATOM.test(local) && !LOCAL_QUOTED.test(local)) return false;
+
+  if (IPV4_LITERAL.test(domain)) return true;
+  const labels = domain.split('.');
+  return labels.length >= 2
+    && labels.every(label => DOMAIN_LABEL.test(label))
+    && TLD.test(labels[labels.length - 1]);
+}
+
+export function getEmailDomain(email) {
+  const at = String(email || '').lastIndexOf('@');
+  return at === -1 ? '' : email.slice(at + 1).toLowerCase();
+}
+
+/**
+ * Trim and lowercase. With `gmail`, also drop dots and +tags from Gmail
+ * addresses so jane.doe+news@gmail.com and janedoe@googlemail.com match.
+ */
+export function normalizeEmail(email, { gmail = false } = {}) {
+  const value = String(email || '').trim().toLowerCase();
+  if (!gmail) return value;
+
+  const at = value.lastIndexOf('@');
+  const domain = value.slice(at + 1);
+  if (at === -1 || !GMAIL_DOMAINS.includes(domain)) return value;
+
+  const local = value.slice(0, at).split('+')[0].replace(/\./g, '');
+  return `${local}@gmail.com`;
+}
+
+export function isRoleAccount(email) {
+  const local = String(email || '').split('@')[0].toLowerCase();
+  return ROLE_ACCOUNTS.has(local) || ROLE_ACCOUNTS.has(local.split('+')[0].replace(/[._]/g, ''));
+}
+
+export function isDisposableDomain(email) {
+  const domain = getEmailDomain(email);
+  if (!domain) return false;
+  // Also match subdomains of listed providers
+  const parts = domain.split('.');
+  return parts.some((_, i) => DISPOSABLE_DOMAINS.has(parts.slice(i).join('.')));
+}
+
+/**
+ * Check a list of contacts ({ email, ... }).
+ *
+ * Invalid addresses and repeats of an earlier contact are always dropped.
+ * Accepted contacts keep their trimmed address; the normalised form is only
+ * used to find repeats.
+ * Role accounts and disposable domains depend on the policy:
+ *   warn   - keep them and report
+ *   skip   - drop them and report
+ *   reject - report, and `rejected` is true so the caller can refuse the list
+ *
+ * Indexes in the result refer to positions in the input array.
+ * Returns { contacts, indexes, invalid, duplicates, roleAccounts, disposable, skipped, rejected }
+ * (`indexes[i]` is the input position of `contacts[i]`)
+ */
+export function assessContacts(contacts, { policy = 'warn', normalizeGmail = false } = {}) {
+  const accepted = [];
+  const invalid = [];
+  const duplicates = [];
+  const roleAccounts = [];
+  const disposable = [];
+  const firstSeen = new Map();
+  let skipped = 0;
+
+  contacts.forEach((contact, index) => {
+    const rawEmail = String(contact?.email ?? '').trim();
+    if (!rawEmail) {
+      invalid.push({ index, email: null, reason: 'Missing email' });
+      return;
+    }
+
+    if (!isValidEmailSyntax(rawEmail)) {
+      invalid.push({ index, email: rawEmail, reason: 'Invalid email address' });
+      return;
+    }
+    // The normalised form only detects duplicates: the contact keeps the address it was given
+    const key = normalizeEmail(rawEmail, { gmail: normalizeGmail });
+    if (firstSeen.has(key)) {
+      duplicates.push({ index, email: rawEmail, duplicateOf: firstSeen.get(key) });
+      return;
+    }
+    firstSeen.set(key, index);
+
+    const flags = [];
+    if (isRoleAccount(key)) {
+      roleAccounts.push({ index, email: rawEmail });
+      flags.push(QUALITY_ISSUES.ROLE_ACCOUNT);
+    }
+    if (isDisposableDomain(key)) {
+      disposable.push({ index, email: rawEmail, domain: getEmailDomain(key) });
+      flags.push(QUALITY_ISSUES.DISPOSABLE);
+    }
+
+    if (flags.length > 0 && policy === 'skip') {
+      skipped++;
+      return;
+    }
+    accepted.push({ index, contact: { ...contact, email: rawEmail } });
+  });
+
+  const hasIssues = invalid.length + duplicates.length + roleAccounts.length + disposable.length > 0;
+
+  return {
+    contacts: accepted.map(({ contact }) => contact),
+    indexes: accepted.map(({ index }) => index),
+    invalid,
+    duplicates,
+    roleAccounts,
+    disposable,
+    skipped,
+    rejected: policy === 'reject' && hasIssues,
+  };
+}
+
+/**
+ * Compact summary of an assessment for API responses
+ */
+export function summarizeQuality(result, policy) {
+  return {
+    policy,
+    invalid: result.invalid.length,
+    duplicates: result.duplicates.length,
+    roleAccounts: result.roleAccounts.length,
+    disposable: result.disposable.length,
+    skipped: result.skipped,
+  };
+}
@@ -0,0 +1,146 @@
+/**
+ * Contact Timezones
+ * Resolves a contact's IANA timezone from contact_data, either directly
+ * (timezone / timeZone / tz) or from a country / region field.
+ */
+
+import { isValidTimeZone } from '../services/sending-window.js';
+
+// Country (ISO 3166 alpha-2) -> most populous timezone
+export const COUNTRY_TIMEZONES = {
+  US: 'America/New_York',
+  CA: 'America/Toronto',
+  MX: 'America/Mexico_City',
+  BR: 'America/Sao_Paulo',
+  AR: 'America/Argentina/Buenos_Aires',
+  CL: 'America/Santiago',
+  CO: 'America/Bogota',
+  PE: 'America/Lima',
+  GB: 'Europe/London',
+  IE: 'Europe/Dublin',
+  PT: 'Europe/Lisbon',
+  ES: 'Europe/Madrid',
+  FR: 'Europe/Paris',
+  BE: 'Europe/Brussels',
+  NL: 'Europe/Amsterdam',
+  DE: 'Europe/Berlin',
+  CH: 'Europe/Zurich',
+  AT: 'Europe/Vienna',
+  IT: 'Europe/Rome',
+  DK: 'Europe/Copenhagen',
+  NO: 'Europe/Oslo',
+  SE: 'Europe/Stockholm',
+  FI: 'Europe/Helsinki',
+  PL: 'Europe/Warsaw',
+  CZ: 'Europe/Prague',
+  HU: 'Europe/Budapest',
+  RO: 'Europe/Bucharest',
+  GR: 'Europe/Athens',
+  UA: 'Europe/Kyiv',
+  TR: 'Europe/Istanbul',
+  RU: 'Europe/Moscow',
+  IL: 'Asia/Jerusalem',
+  AE: 'Asia/Dubai',
+  SA: 'Asia/Riyadh',
+  EG: 'Africa/Cairo',
+  NG: 'Africa/Lagos',
+  KE: 'Africa/Nairobi',
+  ZA: 'Africa/Johannesburg',
+  PK: 'Asia/Karachi',
+  IN: 'Asia/Kolkata',
+  BD: 'Asia/Dhaka',
+  LK: 'Asia/Colombo',
+  TH: 'Asia/Bangkok',
+  VN: 'Asia/Ho_Chi_Minh',
+  MY: 'Asia/Kuala_Lumpur',
+  SG: 'Asia/Singapore',
+  ID: 'Asia/Jakarta',
+  PH: 'Asia/Manila',
+  CN: 'Asia/Shanghai',
+  HK: 'Asia/Hong_Kong',
+  TW: 'Asia/Taipei',
+  KR: 'Asia/Seoul',
+  JP: 'Asia/Tokyo',
+  AU: 'Australia/Sydney',
+  NZ: 'Pacific/Auckland',
+};
+
+// Common country names -> ISO code
+const COUNTRY_NAMES = {
+  'united states': 'US', usa: 'US', america: 'US',
+  canada: 'CA', mexico: 'MX', brazil: 'BR', argentina: 'AR', chile: 'CL', colombia: 'CO', peru: 'PE',
+  'united kingdom': 'GB', uk: 'GB', england: 'GB', scotland: 'GB', wales: 'GB', ireland: 'IE',
+  portugal: 'PT', spain: 'ES', france: 'FR', belgium: 'BE', netherlands: 'NL', germany: 'DE',
+  switzerland: 'CH', austria: 'AT', italy: 'IT', denmark: 'DK', norway: 'NO', sweden: 'SE',
+  finland: 'FI', poland: 'PL', 'czech republic': 'CZ', czechia: 'CZ', hungary: 'HU', romania: 'RO',
+  greece: 'GR', ukraine: 'UA', turkey: 'TR', russia: 'RU', israel: 'IL',
+  'united arab emirates': 'AE', uae: 'AE', 'saudi arabia': 'SA', egypt: 'EG', nigeria: 'NG',
+  kenya: 'KE', 'south africa': 'ZA', pakistan: 'PK', india: 'IN', bangladesh: 'BD', 'sri lanka': 'LK',
+  thailand: 'TH', vietnam: 'VN', malaysia: 'MY', singapore: 'SG', indonesia: 'ID', philippines: 'PH',
+  china: 'CN', 'hong kong': 'HK', taiwan: 'TW', 'south korea': 'KR', korea: 'KR', japan: 'JP',
+  australia: 'AU', 'new zealand': 'NZ',
+};
+
+// Regions inside multi-timezone countries (US states, Canadian provinces, Australian states)
+const REGION_TIMEZONES = {
+  US: {
+    'America/New_York': ['CT', 'DE', 'DC', 'FL', 'GA', 'IN', 'KY', 'ME', 'MD', 'MA', 'MI', 'NH', 'NJ', 'NY', 'NC', 'OH', 'PA', 'RI', 'SC', 'VT', 'VA', 'WV'],
+    'America/Chicago': ['AL', 'AR', 'IL', 'IA', 'KS', 'LA', 'MN', 'MS', 'MO', 'NE', 'ND', 'OK', 'SD', 'TN', 'TX', 'WI'],
+    'America/Denver': ['CO', 'ID', 'MT', 'NM', 'UT', 'WY'],
+    'America/Phoenix': ['AZ'],
+    'America/Los_Angeles': ['CA', 'NV', 'OR', 'WA'],
+    'America/Anchorage': ['AK'],
+    'Pacific/Honolulu': ['HI'],
+  },
+  CA: {
+    'America/Toronto': ['ON', 'QC'],
+    'America/Halifax': ['NS', 'NB', 'PE'],
+    'America/St_Johns': ['NL'],
+    'America/Winnipeg': ['MB'],
+    'America/Regina': ['SK'],
+    'America/Edmonton': ['AB'],
+    'America/Vancouver': ['BC'],
+  },
+  AU: {
+    'Australia/Sydney': ['NSW', 'ACT', 'VIC', 'TAS'],
+    'Australia/Brisbane': ['QLD'],
+    'Australia/Adelaide': ['SA'],
+    'Australia/Darwin': ['NT'],
+    'Australia/Perth': ['WA'],
+  },
+};
+
+function normalizeCountry(value) {
+  if (!value) return null;
+  const text = String(value).trim();
+  if (/^[a-z]{2}$/i.test(text)) return text.toUpperCase();
+  return COUNTRY_NAMES[text.toLowerCase()] || null;
+}
+
+function findRegionTimeZone(countryCode, region) {
+  const regions = REGION_TIMEZONES[countryCode];
+  if (!regions || !region) return null;
+  const code = String(region).trim().toUpperCase();
+  const match = Object.entries(regions).find(([, codes]) => codes.includes(code));
+  return match ? match[0] : null;
+}
+
+/**
+ * Resolve the contact's timezone, or null when it cannot be determined
+ */
+export function resolveContactTimeZone(contact) {
+  if (!contact) return null;
+
+  const explicit = contact.timezone || contact.timeZone || contact.tz;
+  if (isValidTimeZone(explicit)) return explicit;
+
+  const countryCode = normalizeCountry(contact.country || contact.countryCode);
+  const region = contact.region || contact.state || contact.province;
+  const regionZone = findRegionTimeZone(countryCode, region);
+  if (regionZone) return regionZone;
+
+  // A region field may itself hold a timezone or a country
+  if (isValidTimeZone(region)) return region;
+  const code = countryCode || normalizeCountry(region);
+  return COUNTRY_TIMEZONES[code] || null;
+}
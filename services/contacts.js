@@ -0,0 +1,283 @@
+/**
+ * Contacts, Lists & Segments
+ * Saved contacts with custom fields and tags, named lists, and simple
+ * segment filters ("company is not empty", "tag = saas") that resolve
+ * into campaign audiences.
+ */
+
+import { supabase } from '../services/supabase.js';
+
+// Built-in contacts columns and the template variables they map to
+export const CONTACT_COLUMNS = {
+  name: 'name',
+  first_name: 'firstName',
+  last_name: 'lastName',
+  company: 'company',
+  position: 'position',
+};
+
+export const SEGMENT_OPERATORS = ['is_empty', 'is_not_empty', 'equals', 'not_equals', 'contains'];
+
+const PAGE_SIZE = 1000;
+
+// Keep .in() filters well below PostgREST URL length limits
+const LOOKUP_CHUNK_SIZE = 200;
+
+export const CONTACT_SELECT = 'id, email, name, first_name, last_name, company, position, custom_fields, tags, created_at, updated_at';
+
+/**
+ * Split a request body ({ email, firstName, company, fields, tags, ... }) into a contacts row
+ */
+export function toContactRow(userId, input) {
+  const row = {
+    user_id: userId,
+    email: String(input.email || '').trim().toLowerCase(),
+  };
+  const customFields = { ...(input.fields || {}) };
+
+  for (const [column, variable] of Object.entries(CONTACT_COLUMNS)) {
+    const value = input[variable] ?? input[column] ?? input.fields?.[variable];
+    if (value !== undefined) row[column] = value === null ? null : String(value);
+    delete customFields[variable];
+  }
+
+  // Any other scalar top-level keys are treated as custom fields too
+  for (const [key, value] of Object.entries(input)) {
+    if (['id', 'email', 'fields', 'tags', 'row'].includes(key) || key in CONTACT_COLUMNS) continue;
+    if (Object.values(CONTACT_COLUMNS).includes(key)) continue;
+    if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) {
+      customFields[key] = value;
+    }
+  }
+
+  row.custom_fields = customFields;
+  if (input.tags !== undefined) row.tags = normalizeTags(input.tags);
+  return row;
+}
+
+export function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * Flatten a contacts row into the object campaigns personalise with
+ */
+export function toCampaignContact(row) {
+  const contact = { ...(row.custom_fields || {}) };
+  for (const [column, variable] of Object.entries(CONTACT_COLUMNS)) {
+    if (row[column]) contact[variable] = row[column];
+  }
+  contact.email = row.email;
+  return contact;
+}
+
+// ===================
+// SEGMENTS
+// ===================
+
+/**
+ * Parse a condition written as text:
+ * "company is not empty", "title is empty", "tag = saas", "country != US", "company contains acme"
+ */
+export function parseSegmentCondition(text) {
+  const value = String(text || '').trim();
+  let match = value.match(/^([\w.-]+)\s+is\s+(not\s+)?empty$/i);
+  if (match) {
+    return { field: match[1], operator: match[2] ? 'is_not_empty' : 'is_empty' };
+  }
+  match = value.match(/^([\w.-]+)\s*(!=|=|\bcontains\b)\s*(.+)$/i);
+  if (match) {
+    const operators = { '=': 'equals', '!=': 'not_equals', contains: 'contains' };
+    return {
+      field: match[1],
+      operator: operators[match[2].toLowerCase()],
+      value: match[3].trim().replace(/^["']|["']$/g, ''),
+    };
+  }
+  return null;
+}
+
+/**
+ * Normalise a segment (string, condition object, or array of either) into
+ * an array of { field, operator, value } conditions that are ANDed together.
+ * Throws when a condition cannot be understood.
+ */
+export function normalizeSegment(segment) {
+  const conditions = Array.isArray(segment) ? segment : [segment];
+  if (conditions.length === 0) throw new Error('Segment needs at least one condition');
+
+  return conditions.map(condition => {
+    const parsed = typeof condition === 'string' ? parseSegmentCondition(condition) : condition;
+    if (!parsed || typeof parsed !== 'object' || !parsed.field) {
+      throw new Error(`Invalid segment condition: ${JSON.stringify(condition)}`);
+    }
+    if (!SEGMENT_OPERATORS.includes(parsed.operator)) {
+      throw new Error(`Invalid segment operator: ${parsed.operator}`);
+    }
+    if (!['is_empty', 'is_not_empty'].includes(parsed.operator) && (parsed.value === undefined || parsed.value === null)) {
+      throw new Error(`Segment condition on "${parsed.field}" needs a value`);
+    }
+    return {
+      field: String(parsed.field),
+      operator: parsed.operator,
+      ...(parsed.value !== undefined && { value: String(parsed.value) }),
+    };
+  });
+}
+
+function getFieldValues(row, field) {
+  const key = field.toLowerCase();
+  if (key === 'tag' || key === 'tags') return row.tags || [];
+  if (key === 'email') return [row.email];
+  const column = Object.keys(CONTACT_COLUMNS).find(col => col === key || CONTACT_COLUMNS[col].toLowerCase() === key);
+  if (column) return [row[column]];
+  const customKey = Object.keys(row.custom_fields || {}).find(name => name.toLowerCase() === key);
+  return [customKey ? row.custom_fields[customKey] : null];
+}
+
+function isEmptyValue(value) {
+  return value === null || value === undefined || String(value).trim() === '';
+}
+
+/**
+ * Does a contacts row match every condition?
+ */
+export function matchesSegment(row, conditions) {
+  return conditions.every(({ field, operator, value }) => {
+    const values = getFieldValues(row, field).filter(v => !isEmptyValue(v));
+    const target = String(value ?? '').trim().toLowerCase();
+    const normalized = values.map(v => String(v).trim().toLowerCase());
+
+    switch (operator) {
+      case 'is_empty': return normalized.length === 0;
+      case 'is_not_empty': return normalized.length > 0;
+      case 'equals': return normalized.includes(target);
+      case 'not_equals': return !normalized.includes(target);
+      case 'contains': return normalized.some(v => v.includes(target));
+      default: return false;
+    }
+  });
+}
+
+// ===================
+// AUDIENCES
+// ===================
+
+async function fetchAllPages(buildQuery) {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) return rows;
+  }
+}
+
+/**
+ * Every contact in a list (or all of the user's contacts when listId is empty)
+ */
+export async function getContactRows(userId, listId) {
+  if (!listId) {
+    return fetchAllPages(() => supabase
+      .from('contacts')
+      .select(CONTACT_SELECT)
+      .eq('user_id', userId)
+      .order('created_at', { ascending: true }));
+  }
+
+  const members = await fetchAllPages(() => supabase
+    .from('contact_list_members')
+    .select(`contact:contacts(${CONTACT_SELECT})`)
+    .eq('list_id', listId)
+    .eq('user_id', userId)
+    .order('created_at', { ascending: true }));
+  return members.map(member => member.contact).filter(Boolean);
+}
+
+export async function getList(userId, listId) {
+  const { data } = await supabase
+    .from('contact_lists')
+    .select('*')
+    .eq('id', listId)
+    .eq('user_id', userId)
+    .single();
+  return data || null;
+}
+
+/**
+ * Resolve a campaign audience from a saved list and/or segment.
+ * Returns campaign contacts ({ email, firstName, ... }), or throws when the list is unknown.
+ */
+export async function resolveAudience(userId, { listId, segment }) {
+  if (listId && !(await getList(userId, listId))) {
+    const err = new Error('Contact list not found');
+    err.code = 'LIST_NOT_FOUND';
+    throw err;
+  }
+
+  const conditions = segment ? normalizeSegment(segment) : [];
+  const rows = await getContactRows(userId, listId);
+  return rows
+    .filter(row => conditions.length === 0 || matchesSegment(row, conditions))
+    .map(toCampaignContact);
+}
+
+async function getContactsByEmail(userId, emails) {
+  const existing = new Map();
+  for (let i = 0; i < emails.length; i += LOOKUP_CHUNK_SIZE) {
+    const { data, error } = await supabase
+      .from('contacts')
+      .select(CONTACT_SELECT)
+      .eq('user_id', userId)
+      .in('email', emails.slice(i, i + LOOKUP_CHUNK_SIZE));
+    if (error) throw error;
+    for (const row of data || []) existing.set(row.email, row);
+  }
+  return existing;
+}
+
+/**
+ * Upsert contacts by email and optionally add them to a list.
+ * Fields and tags are merged into existing contacts rather than replacing them.
+ * Returns the saved rows.
+ */
+export async function saveContacts(userId, inputs, listId = null) {
+  const byEmail = new Map();
+  for (const input of inputs) {
+    const row = toContactRow(userId, input);
+    if (row.email) byEmail.set(row.email, row);
+  }
+  if (byEmail.size === 0) return [];
+
+  const existing = await getContactsByEmail(userId, [...byEmail.keys()]);
+  const rows = [...byEmail.values()].map(row => {
+    const current = existing.get(row.email) || {};
+    const merged = { user_id: userId, email: row.email };
+    for (const column of Object.keys(CONTACT_COLUMNS)) {
+      merged[column] = column in row ? row[column] : (current[column] ?? null);
+    }
+    merged.custom_fields = { ...(current.custom_fields || {}), ...row.custom_fields };
+    merged.tags = normalizeTags([...(current.tags || []), ...(row.tags || [])]);
+    merged.updated_at = new Date().toISOString();
+    return merged;
+  });
+
+  const { data: saved, error } = await supabase
+    .from('contacts')
+    .upsert(rows, { onConflict: 'user_id,email' })
+    .select(CONTACT_SELECT);
+  if (error) throw error;
+
+  if (listId) {
+    const { error: memberError } = await supabase
+      .from('contact_list_members')
+      .upsert(
+        saved.map(contact => ({ list_id: listId, contact_id: contact.id, user_id: userId })),
+        { onConflict: 'list_id,contact_id', ignoreDuplicates: true }
+      );
+    if (memberError) throw memberError;
+  }
+
+  return saved;
+}
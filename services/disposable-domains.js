@@ -0,0 +1,36 @@
+/**
+ * Disposable / temporary mailbox providers.
+ * Bundled so checks work offline; extend as new providers show up.
+ */
+
+export const DISPOSABLE_DOMAINS = new Set([
+  '10minutemail.com', '10minutemail.net', '10minemail.com', '20minutemail.com', '33mail.com',
+  'anonbox.net', 'anonymbox.com', 'armyspy.com', 'burnermail.io', 'byom.de',
+  'cuvox.de', 'dayrep.com', 'deadaddress.com', 'despam.it', 'discard.email',
+  'discardmail.com', 'discardmail.de', 'dispostable.com', 'dodgit.com', 'dropmail.me',
+  'einrot.com', 'emailondeck.com', 'emailfake.com', 'emailsensei.com', 'emailtemporanea.com',
+  'emltmp.com', 'fakeinbox.com', 'fakemail.net', 'fakemailgenerator.com',
+  'filzmail.com', 'fleckens.hu', 'getairmail.com', 'getnada.com', 'gishpuppy.com',
+  'guerrillamail.biz', 'guerrillamail.com', 'guerrillamail.de', 'guerrillamail.info', 'guerrillamail.net',
+  'guerrillamail.org', 'guerrillamailblock.com', 'gustr.com', 'harakirimail.com', 'hidemail.de',
+  'incognitomail.com', 'inboxbear.com', 'inboxkitten.com', 'jetable.org', 'jourrapide.com',
+  'kasmail.com', 'klzlk.com', 'linshiyouxiang.net', 'mail-temp.com', 'mail.tm',
+  'mailcatch.com', 'maildrop.cc', 'mailexpire.com', 'mailforspam.com', 'mailinator.com',
+  'mailinator.net', 'mailinator2.com', 'mailnesia.com', 'mailnull.com', 'mailpoof.com',
+  'mailsac.com', 'mailtemp.info', 'meltmail.com', 'mintemail.com', 'mohmal.com',
+  'moakt.com', 'mt2015.com', 'mvrht.com', 'my10minutemail.com', 'mytemp.email',
+  'mytrashmail.com', 'nada.email', 'neverbox.com', 'no-spam.ws', 'nowmymail.com',
+  'objectmail.com', 'one-time.email', 'onewaymail.com', 'pokemail.net', 'proxymail.eu',
+  'rcpt.at', 'rhyta.com', 'sharklasers.com', 'shieldemail.com', 'sogetthis.com',
+  'spam4.me', 'spambog.com', 'spambox.us', 'spamgourmet.com', 'spamex.com',
+  'spamfree24.org', 'spamherelots.com', 'spamhole.com', 'spaml.com', 'spamspot.com',
+  'superrito.com', 'tafmail.com', 'teleworm.us', 'temp-mail.io', 'temp-mail.org',
+  'tempail.com', 'tempemail.net', 'tempinbox.com', 'tempmail.com', 'tempmail.net',
+  'tempmail.plus', 'tempmailaddress.com', 'tempmailo.com', 'tempr.email', 'temporaryemail.net',
+  'temporaryinbox.com', 'thankyou2010.com', 'throwam.com', 'throwawaymail.com', 'tmail.ws',
+  'tmpmail.net', 'tmpmail.org', 'trash-mail.com', 'trash-mail.de', 'trashmail.at',
+  'trashmail.com', 'trashmail.de', 'trashmail.io', 'trashmail.me', 'trashmail.net',
+  'trashmailer.com', 'trbvm.com', 'wegwerfmail.de', 'wegwerfmail.net', 'wegwerfmail.org',
+  'yepmail.net', 'yopmail.com', 'yopmail.fr', 'yopmail.net', 'zetmail.com',
+  'zoemail.org',
+]);
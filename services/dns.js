@@ -0,0 +1,38 @@
+/**
+ * DNS Resolver
+ * One injectable resolver for all deliverability lookups, so checks can run
+ * against a stub DNS server (DNS_SERVERS) or a fake object in tests.
+ *
+ * A resolver is any object with the node:dns/promises methods we use:
+ * resolveMx, resolve4, resolve6, resolveTxt, resolveCname
+ */
+
+import { Resolver } from 'dns/promises';
+import { CONFIG } from '../config/index.js';
+
+let activeResolver = null;
+
+export function createDnsResolver({ servers = CONFIG.dnsServers, timeout = CONFIG.dnsTimeoutMs } = {}) {
+  const resolver = new Resolver({ timeout, tries: 2 });
+  if (servers.length > 0) resolver.setServers(servers);
+  return resolver;
+}
+
+export function getDnsResolver() {
+  if (!activeResolver) activeResolver = createDnsResolver();
+  return activeResolver;
+}
+
+/**
+ * Replace the resolver used by default (pass null to go back to the configured one)
+ */
+export function setDnsResolver(resolver) {
+  activeResolver = resolver;
+}
+
+// Answers that mean "this name/record does not exist" rather than a lookup failure
+const NOT_FOUND_CODES = ['ENOTFOUND', 'ENODATA', 'NXDOMAIN', 'ENONAME'];
+
+export function isNotFoundError(err) {
+  return NOT_FOUND_CODES.includes(err?.code);
+}
@@ -0,0 +1,180 @@
+/**
+ * Recipient Domain Throttling
+ * Hourly send limits per recipient domain and per mail provider (grouped by
+ * the domain's MX hosts, so Google Workspace domains count towards "google"
+ * together with gmail.com). Counters are shared by all of a user's campaigns.
+ *
+ * Config (campaigns.domain_throttle):
+ *   { perDomain: 3, groups: { google: 20, microsoft: 20 }, domains: { "acme.com": 10 } }
+ * `perDomain` applies to every single domain except consumer mailbox domains
+ * (gmail.com, outlook.com, ...), which are only limited by their provider
+ * group; `domains` overrides it for named domains.
+ */
+
+import { counterStore } from '../services/redis.js';
+import { supabase } from '../services/supabase.js';
+import { checkDomain } from '../services/domain-verification.js';
+import { getEmailDomain } from '../services/contact-quality.js';
+import { FREEMAIL_DOMAINS } from '../services/sender-preflight.js';
+
+// MX host patterns of the large mailbox providers
+export const MX_GROUPS = {
+  google: /(^|\.)(google|googlemail)\.com$/,
+  microsoft: /(^|\.)(outlook|hotmail)\.com$/,
+  yahoo: /(^|\.)yahoodns\.net$/,
+  apple: /(^|\.)icloud\.com$/,
+  zoho: /(^|\.)zoho\.(com|eu|in)$/,
+  proton: /(^|\.)protonmail\.ch$/,
+  mimecast: /(^|\.)mimecast\.com$/,
+  proofpoint: /(^|\.)pphosted\.com$/,
+};
+
+export const DOMAIN_THROTTLE_LIMITS = {
+  MAX_PER_HOUR: 10000,
+  MAX_NAMED_DOMAINS: 100,
+};
+
+const WINDOW_MS = 60 * 60 * 1000;
+
+/**
+ * Validate a throttle config from the API. Returns null when it sets no limits.
+ * Throws with a readable message when it is invalid.
+ */
+export function normalizeDomainThrottle(config) {
+  if (config === null || config === undefined) return null;
+  if (typeof config !== 'object' || Array.isArray(config)) throw new Error('domainThrottle must be an object');
+
+  const checkLimit = (value, name) => {
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 1 || limit > DOMAIN_THROTTLE_LIMITS.MAX_PER_HOUR) {
+      throw new Error(`${name} must be an integer between 1 and ${DOMAIN_THROTTLE_LIMITS.MAX_PER_HOUR}`);
+    }
+    return limit;
+  };
+
+  const groups = {};
+  for (const [group, value] of Object.entries(config.groups || {})) {
+    if (!MX_GROUPS[group]) {
+      throw new Error(`Unknown provider group "${group}". Use one of: ${Object.keys(MX_GROUPS).join(', ')}`);
+    }
+    groups[group] = checkLimit(value, `groups.${group}`);
+  }
+
+  const domainEntries = Object.entries(config.domains || {});
+  if (domainEntries.length > DOMAIN_THROTTLE_LIMITS.MAX_NAMED_DOMAINS) {
+    throw new Error(`At most ${DOMAIN_THROTTLE_LIMITS.MAX_NAMED_DOMAINS} named domains are allowed`);
+  }
+  const domains = {};
+  for (const [domain, value] of domainEntries) {
+    domains[domain.toLowerCase().trim()] = checkLimit(value, `domains.${domain}`);
+  }
+
+  const perDomain = config.perDomain === undefined || config.perDomain === null
+    ? null
+    : checkLimit(config.perDomain, 'perDomain');
+
+  if (!perDomain && !Object.keys(groups).length && !Object.keys(domains).length) return null;
+  return { perDomain, groups, domains };
+}
+
+/**
+ * Provider group of a set of MX hosts, or null
+ */
+export function getMxGroup(mxHosts = []) {
+  for (const host of mxHosts) {
+    const name = String(host).toLowerCase().replace(/\.$/, '');
+    const group = Object.keys(MX_GROUPS).find(key => MX_GROUPS[key].test(name));
+    if (group) return group;
+  }
+  return null;
+}
+
+/**
+ * Limits that apply to one domain: [{ scope, limit }]
+ */
+export function getDomainLimits(config, domain, group) {
+  const limits = [];
+  const domainLimit = config.domains[domain] ?? (FREEMAIL_DOMAINS.includes(domain) ? null : config.perDomain);
+  if (domainLimit) limits.push({ scope: `domain:${domain}`, limit: domainLimit });
+  if (group && config.groups[group]) limits.push({ scope: `group:${group}`, limit: config.groups[group] });
+  return limits;
+}
+
+function windowStart(now) {
+  return Math.floor(now / WINDOW_MS) * WINDOW_MS;
+}
+
+function counterKey(userId, scope, now) {
+  return `throttle:${userId}:${scope}:${windowStart(now)}`;
+}
+
+/**
+ * Throttle for one campaign run. Returns null when the campaign has no limits.
+ */
+export function createDomainThrottle(campaign) {
+  const config = campaign.domain_throttle;
+  if (!config) return null;
+
+  const groupCache = new Map();
+
+  async function limitsFor(email) {
+    const domain = getEmailDomain(email);
+    if (!domain) return [];
+
+    if (Object.keys(config.groups).length && !groupCache.has(domain)) {
+      try {
+        const result = await checkDomain(domain);
+        groupCache.set(domain, getMxGroup(result.mx));
+      } catch (err) {
+        console.error(`MX group lookup error for ${domain}:`, err.message);
+        groupCache.set(domain, null);
+      }
+    }
+    return getDomainLimits(config, domain, groupCache.get(domain) || null);
+  }
+
+  return {
+    /**
+     * Is this recipient over a limit right now?
+     * Returns null, or { scope, limit, retryAt } for the limit that was hit.
+     * Counter errors never block sending.
+     */
+    async check(emailRecord, now = Date.now()) {
+      try {
+        for (const { scope, limit } of await limitsFor(emailRecord.email)) {
+          const sent = await counterStore.get(counterKey(campaign.user_id, scope, now));
+          if (sent >= limit) {
+            return { scope, limit, retryAt: new Date(windowStart(now) + WINDOW_MS) };
+          }
+        }
+      } catch (err) {
+        console.error('Domain throttle check error:', err.message);
+      }
+      return null;
+    },
+
+    /**
+     * Count one send attempt against the recipient's domain and provider
+     */
+    async record(emailRecord, now = Date.now()) {
+      const ttlSeconds = Math.ceil(WINDOW_MS / 1000) + 60;
+      try {
+        for (const { scope } of await limitsFor(emailRecord.email)) {
+          await counterStore.increment(counterKey(campaign.user_id, scope, now), ttlSeconds);
+        }
+      } catch (err) {
+        console.error('Domain throttle record error:', err.message);
+      }
+    },
+  };
+}
+
+/**
+ * Push an over-limit row to the next window so the batch can move on to other contacts
+ */
+export async function deferForDomain(emailRecord, retryAt) {
+  await supabase
+    .from('campaign_emails')
+    .update({ send_after: retryAt.toISOString() })
+    .eq('id', emailRecord.id);
+}
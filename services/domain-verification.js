@@ -0,0 +1,127 @@
+/**
+ * Recipient Domain Verification
+ * Checks that each recipient domain can receive mail (MX, falling back to A/AAAA)
+ * before a campaign sends to it. Results are cached per domain.
+ */
+
+import { getDnsResolver, isNotFoundError } from '../services/dns.js';
+import { cacheStore } from '../services/redis.js';
+import { getEmailDomain } from '../services/contact-quality.js';
+
+export const DOMAIN_STATUS = {
+  VALID: 'valid',       // Has MX, or A/AAAA as an implicit MX
+  INVALID: 'invalid',   // Does not exist, null MX, or no mail records at all
+  UNKNOWN: 'unknown',   // Lookup failed (timeout, SERVFAIL) - never skip on this
+};
+
+export const DOMAIN_CHECK_MODES = ['off', 'flag', 'skip'];
+
+const CACHE_TTL_SECONDS = {
+  [DOMAIN_STATUS.VALID]: 24 * 60 * 60,
+  [DOMAIN_STATUS.INVALID]: 6 * 60 * 60,
+  [DOMAIN_STATUS.UNKNOWN]: 5 * 60,
+};
+
+const LOOKUP_CONCURRENCY = 10;
+
+async function hasAddressRecords(resolver, domain) {
+  for (const method of ['resolve4', 'resolve6']) {
+    try {
+      const records = await resolver[method](domain);
+      if (records?.length) return true;
+    } catch (err) {
+      if (!isNotFoundError(err)) throw err;
+    }
+  }
+  return false;
+}
+
+/**
+ * Look up one domain without the cache.
+ * Returns { domain, status, mx: [hosts], fallback: 'a' | null, reason }
+ */
+export async function lookupDomain(domain, resolver = getDnsResolver()) {
+  const result = { domain, status: DOMAIN_STATUS.VALID, mx: [], fallback: null, reason: null };
+
+  try {
+    const records = await resolver.resolveMx(domain);
+    const hosts = (records || [])
+      .sort((a, b) => a.priority - b.priority)
+      .map(record => String(record.exchange || '').replace(/\.$/, ''));
+
+    // RFC 7505 null MX: a single "." record means the domain accepts no mail
+    if (hosts.length === 1 && hosts[0] === '') {
+      return { ...result, status: DOMAIN_STATUS.INVALID, reason: 'Domain does not accept mail (null MX)' };
+    }
+    if (hosts.length > 0) return { ...result, mx: hosts };
+  } catch (err) {
+    if (err.code === 'ENOTFOUND' || err.code === 'NXDOMAIN') {
+      return { ...result, status: DOMAIN_STATUS.INVALID, reason: 'Domain does not exist' };
+    }
+    if (!isNotFoundError(err)) {
+      return { ...result, status: DOMAIN_STATUS.UNKNOWN, reason: `MX lookup failed: ${err.code || err.message}` };
+    }
+  }
+
+  // No MX records: RFC 5321 falls back to the domain's own address
+  try {
+    if (await hasAddressRecords(resolver, domain)) {
+      return { ...result, fallback: 'a' };
+    }
+    return { ...result, status: DOMAIN_STATUS.INVALID, reason: 'No MX or A records' };
+  } catch (err) {
+    return { ...result, status: DOMAIN_STATUS.UNKNOWN, reason: `A lookup failed: ${err.code || err.message}` };
+  }
+}
+
+/**
+ * Check one domain, using the Redis/memory cache
+ */
+export async function checkDomain(domain, { resolver } = {}) {
+  const key = `mx:${domain.toLowerCase()}`;
+
+  try {
+    const cached = await cacheStore.get(key);
+    if (cached) return { ...cached, cached: true };
+  } catch (err) {
+    console.error('Domain cache read error:', err.message);
+  }
+
+  const result = await lookupDomain(domain.toLowerCase(), resolver);
+
+  try {
+    await cacheStore.set(key, result, CACHE_TTL_SECONDS[result.status]);
+  } catch (err) {
+    console.error('Domain cache write error:', err.message);
+  }
+  return result;
+}
+
+/**
+ * Check every unique recipient domain in a contact list.
+ * Returns { domains: { [domain]: result }, undeliverable: [{ index, email, domain, reason }], unknown }
+ */
+export async function verifyContactDomains(contacts, { resolver } = {}) {
+  const uniqueDomains = [...new Set(contacts.map(contact => getEmailDomain(contact.email)).filter(Boolean))];
+  const domains = {};
+
+  for (let i = 0; i < uniqueDomains.length; i += LOOKUP_CONCURRENCY) {
+    const batch = uniqueDomains.slice(i, i + LOOKUP_CONCURRENCY);
+    const results = await Promise.all(batch.map(domain => checkDomain(domain, { resolver })));
+    results.forEach(result => { domains[result.domain] = result; });
+  }
+
+  const undeliverable = [];
+  contacts.forEach((contact, index) => {
+    const result = domains[getEmailDomain(contact.email)];
+    if (result?.status === DOMAIN_STATUS.INVALID) {
+      undeliverable.push({ index, email: contact.email, domain: result.domain, reason: result.reason });
+    }
+  });
+
+  return {
+    domains,
+    undeliverable,
+    unknown: Object.values(domains).filter(result => result.status === DOMAIN_STATUS.UNKNOWN).length,
+  };
+}
@@ -0,0 +1,76 @@
+/**
+ * Tracking Event Classifier
+ * Flags opens/clicks that were most likely made by machines: corporate link
+ * scanners, Apple Mail Privacy Protection prefetch, and other automated fetchers.
+ */
+
+export const BOT_THRESHOLDS = {
+  MIN_SECONDS_TO_OPEN: 2,     // Nobody opens an email within 2s of it being sent
+  MIN_SECONDS_TO_CLICK: 10,   // ...or reads it and clicks within 10s
+  SAME_INSTANT_WINDOW_MS: 2000, // Several different links hit this close together = scanner
+};
+
+// Security gateways and automated fetchers that follow or prefetch links
+const SCANNER_USER_AGENTS = [
+  /barracuda/i,
+  /mimecast/i,
+  /proofpoint/i,
+  /ironport/i,
+  /messagelabs/i,
+  /symantec/i,
+  /trend ?micro/i,
+  /fortiguard/i,
+  /forcepoint/i,
+  /sophos/i,
+  /zscaler/i,
+  /safelinks|microsoft office protection|outlook-safelinks/i,
+  /bot\b|crawler|spider|slurp/i,
+  /headless|phantomjs|puppeteer|playwright/i,
+  /^curl\/|^wget\/|python-requests|python-urllib|go-http-client|okhttp|java\/|libwww|httpclient|axios|node-fetch/i,
+];
+
+// Apple Mail Privacy Protection fetches through Apple's network with a bare UA
+const APPLE_PROXY_UA = /^Mozilla\/5\.0$/;
+const APPLE_IP_PREFIX = '17.';
+
+function normalizeIp(ip) {
+  return String(ip || '').replace(/^::ffff:/, '');
+}
+
+/**
+ * Classify one tracking event.
+ * `recentClicks` are the recipient's click events from the last few seconds
+ * (used to spot a scanner hitting every link at once).
+ *
+ * Returns { isBot, reasons: [] }
+ */
+export function classifyTrackingEvent({ eventType, userAgent, ip, secondsSinceSend, url, recentClicks = [] }) {
+  const reasons = [];
+  const ua = String(userAgent || '').trim();
+
+  if (!ua) {
+    reasons.push('missing_user_agent');
+  } else if (SCANNER_USER_AGENTS.some(pattern => pattern.test(ua))) {
+    reasons.push('scanner_user_agent');
+  }
+
+  if (eventType === 'open') {
+    if (APPLE_PROXY_UA.test(ua) || normalizeIp(ip).startsWith(APPLE_IP_PREFIX)) {
+      reasons.push('proxy_prefetch');
+    }
+    if (secondsSinceSend != null && secondsSinceSend < BOT_THRESHOLDS.MIN_SECONDS_TO_OPEN) {
+      reasons.push('too_fast_after_send');
+    }
+  }
+
+  if (eventType === 'click') {
+    if (secondsSinceSend != null && secondsSinceSend < BOT_THRESHOLDS.MIN_SECONDS_TO_CLICK) {
+      reasons.push('too_fast_after_send');
+    }
+    if (recentClicks.some(click => click.url && click.url !== url)) {
+      reasons.push('multiple_links_same_instant');
+    }
+  }
+
+  return { isBot: reasons.length > 0, reasons };
+}
@@ -4,11 +4,10 @@
 
 import crypto from 'crypto';
 import { HMAC_SECRET } from '../config/index.js';
+import { isValidEmailSyntax } from '../services/contact-quality.js';
 
-export const validateEmail = (email) => {
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  return emailRegex.test(email);
-};
+// Full syntax rules live in contact-quality.js
+export const validateEmail = (email) => isValidEmailSyntax(email);
 
 // Sanitize string for email headers (prevent header injection)
 export const sanitizeEmailHeader = (str) => {
@@ -133,3 +132,22 @@ export function decodeTrackingId(trackingId) {
 export function hashEmail(email) {
   return crypto.createHash('sha256').update(email.toLowerCase().trim()).digest('hex').slice(0, 16);
 }
+
+/**
+ * Sign a destination URL for the click-tracking redirect
+ * Prevents the redirect endpoint from being used as an open redirect
+ */
+export function signTrackedUrl(trackingId, url) {
+  return crypto
+    .createHmac('sha256', HMAC_SECRET || 'default-secret')
+    .update(`${trackingId}|${url}`)
+    .digest('base64url')
+    .slice(0, 16);
+}
+
+export function verifyTrackedUrl(trackingId, url, signature) {
+  if (typeof signature !== 'string') return false;
+  const expected = signTrackedUrl(trackingId, url);
+  return signature.length === expected.length
+    && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+}
@@ -170,4 +170,134 @@ export const campaignQueue = {
   },
 };
 
+/**
+ * Small JSON key/value cache with expiry.
+ * Uses Redis when Upstash is configured, otherwise a per-process Map.
+ */
+const memoryCache = new Map();
+
+export const cacheStore = {
+  async get(key) {
+    if (redis) {
+      const data = await redis.get(`cache:${key}`);
+      return typeof data === 'string' ? JSON.parse(data) : data;
+    }
+
+    const entry = memoryCache.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      memoryCache.delete(key);
+      return null;
+    }
+    return entry.value;
+  },
+
+  async set(key, value, ttlSeconds) {
+    if (redis) {
+      await redis.set(`cache:${key}`, JSON.stringify(value), { ex: ttlSeconds });
+      return;
+    }
+
+    memoryCache.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+  },
+};
+
+/**
+ * Expiring counters for fixed time windows.
+ * Uses Redis INCR when Upstash is configured, otherwise a per-process Map.
+ */
+const memoryCounters = new Map();
+
+export const counterStore = {
+  async get(key) {
+    if (redis) {
+      return Number(await redis.get(`counter:${key}`)) || 0;
+    }
+
+    const entry = memoryCounters.get(key);
+    if (!entry || entry.expiresAt <= Date.now()) return 0;
+    return entry.value;
+  },
+
+  async increment(key, ttlSeconds) {
+    if (redis) {
+      const value = await redis.incr(`counter:${key}`);
+      if (value === 1) await redis.expire(`counter:${key}`, ttlSeconds);
+      return value;
+    }
+
+    // Drop expired windows so long-running processes do not grow the Map forever
+    if (memoryCounters.size > 10000) {
+      for (const [counterKey, counter] of memoryCounters) {
+        if (counter.expiresAt <= Date.now()) memoryCounters.delete(counterKey);
+      }
+    }
+
+    const entry = memoryCounters.get(key);
+    if (!entry || entry.expiresAt <= Date.now()) {
+      memoryCounters.set(key, { value: 1, expiresAt: Date.now() + ttlSeconds * 1000 });
+      return 1;
+    }
+    entry.value++;
+    return entry.value;
+  },
+};
+
+/**
+ * Expiring locks owned by a random token.
+ * Uses Redis SET NX PX when Upstash is configured, otherwise a per-process Map.
+ * Only the token holder can extend or release a lock.
+ */
+const memoryLocks = new Map();
+
+const EXTEND_SCRIPT = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('pexpire', KEYS[1], ARGV[2]) else return 0 end";
+const RELEASE_SCRIPT = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end";
+
+function liveMemoryLock(key) {
+  const lock = memoryLocks.get(key);
+  if (lock && lock.expiresAt <= Date.now()) {
+    memoryLocks.delete(key);
+    return null;
+  }
+  return lock || null;
+}
+
+export const lockStore = {
+  /**
+   * Take the lock for ttlMs. Returns true when `token` now holds it.
+   */
+  async acquire(key, token, ttlMs) {
+    if (redis) {
+      return (await redis.set(`lock:${key}`, token, { nx: true, px: ttlMs })) === 'OK';
+    }
+
+    if (liveMemoryLock(key)) return false;
+    memoryLocks.set(key, { token, expiresAt: Date.now() + ttlMs });
+    return true;
+  },
+
+  /**
+   * Push the expiry out to ttlMs from now. Returns false when the lock was lost.
+   */
+  async extend(key, token, ttlMs) {
+    if (redis) {
+      return Number(await redis.eval(EXTEND_SCRIPT, [`lock:${key}`], [token, String(ttlMs)])) === 1;
+    }
+
+    const lock = liveMemoryLock(key);
+    if (!lock || lock.token !== token) return false;
+    lock.expiresAt = Date.now() + ttlMs;
+    return true;
+  },
+
+  async release(key, token) {
+    if (redis) {
+      await redis.eval(RELEASE_SCRIPT, [`lock:${key}`], [token]);
+      return;
+    }
+
+    if (liveMemoryLock(key)?.token === token) memoryLocks.delete(key);
+  },
+};
+
 export { redis, isUpstashConfigured };
@@ -0,0 +1,101 @@
+/**
+ * Envelope Encryption
+ * Each secret is encrypted with its own random data key (AES-256-GCM); the data
+ * key is then wrapped with a key-encryption key from config. Rotating keys only
+ * re-wraps the small data key, the secret itself is never re-encrypted.
+ *
+ * Envelope: { v, kid, wrappedKey, iv, tag, ciphertext } (binary fields base64)
+ */
+
+import crypto from 'crypto';
+import { SENDER_ENCRYPTION_KEYS, SENDER_ACTIVE_KEY_ID } from '../config/index.js';
+
+const ALGORITHM = 'aes-256-gcm';
+const ENVELOPE_VERSION = 1;
+
+export function isEncryptionConfigured() {
+  return !!(SENDER_ACTIVE_KEY_ID && SENDER_ENCRYPTION_KEYS[SENDER_ACTIVE_KEY_ID]);
+}
+
+function getKek(keyId) {
+  const key = SENDER_ENCRYPTION_KEYS[keyId];
+  if (!key) throw new Error(`Encryption key "${keyId}" is not configured`);
+  return key;
+}
+
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv, tag: cipher.getAuthTag(), ciphertext };
+}
+
+function open(key, { iv, tag, ciphertext }, aad) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+// Wrapped data key is stored as iv | tag | ciphertext
+function wrapKey(dataKey, keyId) {
+  const { iv, tag, ciphertext } = seal(getKek(keyId), dataKey, `kek:${keyId}`);
+  return Buffer.concat([iv, tag, ciphertext]).toString('base64');
+}
+
+function unwrapKey(wrappedKey, keyId) {
+  const raw = Buffer.from(wrappedKey, 'base64');
+  return open(getKek(keyId), {
+    iv: raw.subarray(0, 12),
+    tag: raw.subarray(12, 28),
+    ciphertext: raw.subarray(28),
+  }, `kek:${keyId}`);
+}
+
+/**
+ * Encrypt a string. `aad` binds the envelope to its owner (e.g. the row ID),
+ * so an envelope copied to another row will not decrypt.
+ */
+export function encryptSecret(plaintext, aad) {
+  if (!isEncryptionConfigured()) throw new Error('Encryption keys are not configured');
+
+  const dataKey = crypto.randomBytes(32);
+  const { iv, tag, ciphertext } = seal(dataKey, Buffer.from(String(plaintext), 'utf8'), aad);
+
+  return {
+    v: ENVELOPE_VERSION,
+    kid: SENDER_ACTIVE_KEY_ID,
+    wrappedKey: wrapKey(dataKey, SENDER_ACTIVE_KEY_ID),
+    iv: iv.toString('base64'),
+    tag: tag.toString('base64'),
+    ciphertext: ciphertext.toString('base64'),
+  };
+}
+
+export function decryptSecret(envelope, aad) {
+  if (!envelope || envelope.v !== ENVELOPE_VERSION) throw new Error('Unsupported secret envelope');
+
+  const dataKey = unwrapKey(envelope.wrappedKey, envelope.kid);
+  return open(dataKey, {
+    iv: Buffer.from(envelope.iv, 'base64'),
+    tag: Buffer.from(envelope.tag, 'base64'),
+    ciphertext: Buffer.from(envelope.ciphertext, 'base64'),
+  }, aad).toString('utf8');
+}
+
+/**
+ * Was this envelope wrapped with a key other than the active one?
+ */
+export function needsRewrap(envelope) {
+  return !!envelope && envelope.kid !== SENDER_ACTIVE_KEY_ID;
+}
+
+/**
+ * Re-wrap the data key with the active key-encryption key
+ */
+export function rewrapSecret(envelope) {
+  if (!isEncryptionConfigured()) throw new Error('Encryption keys are not configured');
+  const dataKey = unwrapKey(envelope.wrappedKey, envelope.kid);
+  return { ...envelope, kid: SENDER_ACTIVE_KEY_ID, wrappedKey: wrapKey(dataKey, SENDER_ACTIVE_KEY_ID) };
+}
@@ -0,0 +1,141 @@
+/**
+ * Sender Accounts
+ * Saved SMTP profiles. Passwords are stored as envelope-encrypted blobs
+ * and only decrypted by the processors right before sending.
+ */
+
+import { supabase } from '../services/supabase.js';
+import { encryptSecret, decryptSecret, needsRewrap, rewrapSecret } from '../services/secret-box.js';
+
+// Everything except the encrypted password
+export const SENDER_ACCOUNT_SELECT = 'id, user_id, label, email_user, smtp_host, smtp_port, sender_name, daily_limit, hourly_limit, weight, warmup, consecutive_failures, cooldown_until, verified_at, last_error, created_at, updated_at';
+
+// Send caps applied when an account is created without its own
+export const SENDER_ACCOUNT_DEFAULTS = {
+  DAILY_LIMIT: 50,
+  HOURLY_LIMIT: null,
+  WEIGHT: 1,
+};
+
+// Ties each envelope to its row so it cannot be replayed onto another account
+function passwordAad(userId, accountId) {
+  return `sender_account:${userId}:${accountId}`;
+}
+
+export function encryptSenderPassword(userId, accountId, password) {
+  return encryptSecret(password, passwordAad(userId, accountId));
+}
+
+export function toPublicSenderAccount(row) {
+  return {
+    id: row.id,
+    label: row.label,
+    emailUser: row.email_user,
+    smtpHost: row.smtp_host,
+    smtpPort: row.smtp_port,
+    senderName: row.sender_name,
+    dailyLimit: row.daily_limit,
+    hourlyLimit: row.hourly_limit,
+    weight: row.weight,
+    warmup: row.warmup,
+    cooldownUntil: row.cooldown_until,
+    verifiedAt: row.verified_at,
+    lastError: row.last_error,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+export async function getSenderAccount(userId, accountId) {
+  const { data } = await supabase
+    .from('sender_accounts')
+    .select(SENDER_ACCOUNT_SELECT)
+    .eq('id', accountId)
+    .eq('user_id', userId)
+    .maybeSingle();
+  return data || null;
+}
+
+/**
+ * Store `account.encrypted_password` re-wrapped with the active key. Only the
+ * envelope that was read is replaced: if a new password was saved in the
+ * meantime the row is left alone and false is returned.
+ */
+async function rewrapStoredPassword(account) {
+  const { data, error } = await supabase
+    .from('sender_accounts')
+    .update({ encrypted_password: rewrapSecret(account.encrypted_password) })
+    .eq('id', account.id)
+    .eq('encrypted_password->>wrappedKey', account.encrypted_password.wrappedKey)
+    .select('id');
+  if (error) throw error;
+  return data.length > 0;
+}
+
+/**
+ * Decrypt an account into the credentials shape nodemailer helpers expect.
+ * Returns null when the account does not exist for this user.
+ */
+export async function getSenderCredentials(userId, accountId) {
+  if (!accountId) return null;
+
+  const { data: account, error } = await supabase
+    .from('sender_accounts')
+    .select('id, user_id, email_user, smtp_host, smtp_port, sender_name, encrypted_password')
+    .eq('id', accountId)
+    .eq('user_id', userId)
+    .maybeSingle();
+  if (error) throw error;
+  if (!account) return null;
+
+  const aad = passwordAad(account.user_id, account.id);
+  const emailPass = decryptSecret(account.encrypted_password, aad);
+
+  // Lazily move envelopes wrapped with an old key onto the active one.
+  // The password is already decrypted, so a rewrap failure is only logged.
+  if (needsRewrap(account.encrypted_password)) {
+    rewrapStoredPassword(account).catch(err => {
+      console.error('Sender key rewrap error:', err.message);
+    });
+  }
+
+  return {
+    smtpHost: account.smtp_host,
+    smtpPort: account.smtp_port,
+    emailUser: account.email_user,
+    emailPass,
+    senderName: account.sender_name,
+  };
+}
+
+/**
+ * Re-wrap every stored password whose data key uses a retired encryption key.
+ * Rows whose password changed during the run are skipped (not counted as rewrapped).
+ * Returns { checked, rewrapped, failed }
+ */
+export async function rotateSenderAccountKeys() {
+  const result = { checked: 0, rewrapped: 0, failed: 0 };
+  const pageSize = 500;
+
+  for (let from = 0; ; from += pageSize) {
+    const { data: accounts, error } = await supabase
+      .from('sender_accounts')
+      .select('id, encrypted_password')
+      .order('id', { ascending: true })
+      .range(from, from + pageSize - 1);
+    if (error) throw error;
+
+    for (const account of accounts) {
+      result.checked++;
+      if (!needsRewrap(account.encrypted_password)) continue;
+      try {
+        if (await rewrapStoredPassword(account)) result.rewrapped++;
+      } catch (err) {
+        console.error(`Sender account ${account.id} rewrap error:`, err.message);
+        result.failed++;
+      }
+    }
+
+    if (accounts.length < pageSize) return result;
+  }
+}
@@ -0,0 +1,271 @@
+/**
+ * Sender Pool
+ * Spreads a campaign's sends over several saved sender accounts. Each mailbox
+ * has its own hourly and daily cap (rolling windows over sent rows) plus an
+ * optional warm-up allowance for the current UTC day. Mailboxes that keep
+ * failing cool down for a while, and follow-ups stay on the mailbox that
+ * sent the earlier step so the thread comes from the same address.
+ */
+
+import { supabase } from '../services/supabase.js';
+import { createTransporterFromCredentials } from '../services/email.js';
+import { getSenderCredentials } from '../services/sender-accounts.js';
+import { BOUNCE_TYPES } from '../services/bounce-monitor.js';
+import { getWarmupDayStart, getWarmupProgress } from '../services/warmup.js';
+
+export const SENDER_ROTATION_MODES = ['round_robin', 'weighted'];
+
+export const SENDER_POOL_LIMITS = {
+  MAX_SENDERS_PER_CAMPAIGN: 20,
+  MAX_CONSECUTIVE_FAILURES: 3,
+  FAILURE_COOLDOWN_MS: 30 * 60 * 1000,
+  // How long locally tracked usage is trusted before re-counting from the database
+  USAGE_REFRESH_MS: 60 * 1000,
+  // Re-check interval once every mailbox has hit a cap
+  CAPPED_RETRY_MS: 15 * 60 * 1000,
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Sender account IDs of a campaign: the pool, or the single account of older campaigns
+ */
+export function getCampaignSenderIds(campaign) {
+  const ids = campaign.sender_account_ids?.length ? campaign.sender_account_ids : [campaign.sender_account_id];
+  return [...new Set(ids.filter(Boolean))];
+}
+
+/**
+ * Emails sent by one mailbox (across all campaigns) since the given time
+ */
+export async function countSenderSends(accountId, since) {
+  const { count, error } = await supabase
+    .from('campaign_emails')
+    .select('id', { count: 'exact', head: true })
+    .eq('sender_account_id', accountId)
+    .eq('status', 'sent')
+    .gte('sent_at', since.toISOString());
+  if (error) throw error;
+  return count || 0;
+}
+
+/**
+ * Usage of one mailbox: { lastHour, last24h } rolling, plus `today` since UTC midnight
+ */
+export async function getSenderUsage(accountId, now = Date.now()) {
+  const [lastHour, last24h, today] = await Promise.all([
+    countSenderSends(accountId, new Date(now - HOUR_MS)),
+    countSenderSends(accountId, new Date(now - DAY_MS)),
+    countSenderSends(accountId, getWarmupDayStart(new Date(now))),
+  ]);
+  return { lastHour, last24h, today };
+}
+
+/**
+ * Why a mailbox cannot send right now ('cooldown', 'hourly_cap', 'daily_cap', 'warmup_cap'), or null
+ */
+export function getSenderBlock(sender, now = Date.now()) {
+  const { account, usage } = sender;
+  if (account.cooldown_until && new Date(account.cooldown_until).getTime() > now) return 'cooldown';
+  if (account.hourly_limit && usage.lastHour >= account.hourly_limit) return 'hourly_cap';
+  if (account.daily_limit && usage.last24h >= account.daily_limit) return 'daily_cap';
+  if (account.warmup && usage.today >= getWarmupProgress(account.warmup, new Date(now)).allowance) return 'warmup_cap';
+  return null;
+}
+
+/**
+ * What a mailbox may still send: caps, warm-up progress and remaining quota.
+ * `remainingToday` is the smaller of the rolling daily cap and today's warm-up allowance.
+ */
+export function getSenderQuota(account, usage, now = Date.now()) {
+  const warmup = account.warmup ? getWarmupProgress(account.warmup, new Date(now)) : null;
+  const limits = [
+    account.daily_limit ? account.daily_limit - usage.last24h : null,
+    warmup ? warmup.allowance - usage.today : null,
+  ].filter(limit => limit !== null);
+
+  return {
+    dailyLimit: account.daily_limit,
+    hourlyLimit: account.hourly_limit,
+    warmup,
+    sentToday: usage.today,
+    sentLast24h: usage.last24h,
+    sentLastHour: usage.lastHour,
+    remainingToday: limits.length ? Math.max(0, Math.min(...limits)) : null,
+    remainingThisHour: account.hourly_limit ? Math.max(0, account.hourly_limit - usage.lastHour) : null,
+    blockedBy: getSenderBlock({ account, usage }, now),
+  };
+}
+
+/**
+ * When a blocked mailbox should be tried again
+ */
+export function getSenderRetryAt(sender, now = Date.now()) {
+  const block = getSenderBlock(sender, now);
+  if (block === 'cooldown') return new Date(sender.account.cooldown_until);
+  // Today's warm-up allowance is used up: the next one starts at UTC midnight
+  if (block === 'warmup_cap') return new Date(getWarmupDayStart(new Date(now)).getTime() + DAY_MS);
+  return new Date(now + SENDER_POOL_LIMITS.CAPPED_RETRY_MS);
+}
+
+/**
+ * Choose the next mailbox among those that can send.
+ * round_robin walks the pool from `cursor`; weighted picks at random in
+ * proportion to each account's weight. Returns { sender, cursor } (sender null when all are blocked).
+ */
+export function pickSender(senders, { mode = 'round_robin', cursor = 0, now = Date.now(), random = Math.random } = {}) {
+  if (mode === 'weighted') {
+    const available = senders.filter(sender => !getSenderBlock(sender, now));
+    const total = available.reduce((sum, sender) => sum + (sender.account.weight || 1), 0);
+    let roll = random() * total;
+    for (const sender of available) {
+      roll -= sender.account.weight || 1;
+      if (roll < 0) return { sender, cursor };
+    }
+    return { sender: available[available.length - 1] || null, cursor };
+  }
+
+  for (let offset = 0; offset < senders.length; offset++) {
+    const index = (cursor + offset) % senders.length;
+    if (!getSenderBlock(senders[index], now)) {
+      return { sender: senders[index], cursor: index + 1 };
+    }
+  }
+  return { sender: null, cursor };
+}
+
+async function loadSender(userId, accountId) {
+  const [{ data: account }, credentials] = await Promise.all([
+    supabase
+      .from('sender_accounts')
+      .select('id, daily_limit, hourly_limit, weight, warmup, consecutive_failures, cooldown_until')
+      .eq('id', accountId)
+      .eq('user_id', userId)
+      .maybeSingle(),
+    getSenderCredentials(userId, accountId),
+  ]);
+  if (!account || !credentials) return null;
+
+  return {
+    id: accountId,
+    account,
+    credentials,
+    transporter: null,
+    usage: await getSenderUsage(accountId),
+    usageCheckedAt: Date.now(),
+  };
+}
+
+/**
+ * Load the sender pool of a campaign. Accounts that were deleted are left out;
+ * `size` is 0 when none remain.
+ */
+export async function createSenderPool(campaign) {
+  const senders = (await Promise.all(
+    getCampaignSenderIds(campaign).map(id => loadSender(campaign.user_id, id))
+  )).filter(Boolean);
+  // Mailboxes pinned by follow-ups that are no longer in the pool
+  const extra = new Map();
+  // Continue the rotation where earlier runs left off
+  let cursor = campaign.sent_count || 0;
+
+  async function findSender(accountId) {
+    const sender = senders.find(entry => entry.id === accountId);
+    if (sender) return sender;
+    if (!extra.has(accountId)) extra.set(accountId, await loadSender(campaign.user_id, accountId));
+    return extra.get(accountId);
+  }
+
+  async function refreshUsage(sender) {
+    if (Date.now() - sender.usageCheckedAt < SENDER_POOL_LIMITS.USAGE_REFRESH_MS) return;
+    sender.usage = await getSenderUsage(sender.id);
+    sender.usageCheckedAt = Date.now();
+  }
+
+  return {
+    size: senders.length,
+
+    /**
+     * Pick the mailbox for one row. Follow-ups use the mailbox of the earlier step.
+     * Returns { sender } or { sender: null, pinned, retryAt } when it has to wait.
+     */
+    async senderFor(emailRecord) {
+      if (emailRecord.step > 0 && emailRecord.sender_account_id) {
+        const pinned = await findSender(emailRecord.sender_account_id);
+        if (pinned) {
+          await refreshUsage(pinned);
+          if (!getSenderBlock(pinned)) return { sender: pinned };
+          return { sender: null, pinned: true, retryAt: getSenderRetryAt(pinned) };
+        }
+        // The original mailbox was deleted: fall back to the pool
+      }
+
+      await Promise.all(senders.map(refreshUsage));
+      const picked = pickSender(senders, { mode: campaign.sender_rotation, cursor });
+      cursor = picked.cursor;
+      if (picked.sender) return { sender: picked.sender };
+
+      const retryAt = senders.length
+        ? new Date(Math.min(...senders.map(sender => getSenderRetryAt(sender).getTime())))
+        : new Date(Date.now() + SENDER_POOL_LIMITS.CAPPED_RETRY_MS);
+      return { sender: null, pinned: false, retryAt };
+    },
+
+    transporterFor(sender) {
+      if (!sender.transporter) sender.transporter = createTransporterFromCredentials(sender.credentials);
+      return sender.transporter;
+    },
+
+    async recordSuccess(sender) {
+      sender.usage.lastHour++;
+      sender.usage.last24h++;
+      sender.usage.today++;
+      if (!sender.account.consecutive_failures) return;
+
+      sender.account.consecutive_failures = 0;
+      await supabase
+        .from('sender_accounts')
+        .update({ consecutive_failures: 0, last_error: null })
+        .eq('id', sender.id);
+    },
+
+    /**
+     * Count a failure against the mailbox. Hard bounces are the recipient's
+     * fault and do not count; anything else in a row cools the mailbox down.
+     */
+    async recordFailure(sender, failure, sendError) {
+      if (failure?.type === BOUNCE_TYPES.HARD) return;
+
+      const failures = (sender.account.consecutive_failures || 0) + 1;
+      const updates = { consecutive_failures: failures, last_error: String(sendError?.message || '').slice(0, 500) };
+      if (failures >= SENDER_POOL_LIMITS.MAX_CONSECUTIVE_FAILURES) {
+        updates.cooldown_until = new Date(Date.now() + SENDER_POOL_LIMITS.FAILURE_COOLDOWN_MS).toISOString();
+        updates.consecutive_failures = 0;
+        console.warn(`⚠️ Sender ${sender.id} failed ${failures} times in a row, cooling down`);
+      }
+      Object.assign(sender.account, updates);
+
+      await supabase
+        .from('sender_accounts')
+        .update(updates)
+        .eq('id', sender.id);
+    },
+
+    close() {
+      for (const sender of [...senders, ...extra.values()]) {
+        if (sender?.transporter) sender.transporter.close();
+      }
+    },
+  };
+}
+
+/**
+ * Push a row back until its mailbox can send again, so it does not block the batch
+ */
+export async function deferForSender(emailRecord, retryAt) {
+  await supabase
+    .from('campaign_emails')
+    .update({ send_after: retryAt.toISOString() })
+    .eq('id', emailRecord.id);
+}
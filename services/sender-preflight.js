@@ -0,0 +1,362 @@
+/**
+ * Sender Domain Pre-flight
+ * Checks that the sending domain publishes SPF (covering the SMTP host),
+ * DKIM and DMARC, and turns the results into a graded report with fixes.
+ */
+
+import { getDnsResolver, isNotFoundError } from '../services/dns.js';
+import { getEmailDomain } from '../services/contact-quality.js';
+
+export const CHECK_STATUS = {
+  PASS: 'pass',
+  WARN: 'warn',
+  FAIL: 'fail',
+};
+
+// SMTP hosts of common providers -> the SPF include that authorises them
+const PROVIDER_SPF_INCLUDES = [
+  { host: /(^|\.)gmail\.com$|(^|\.)google(mail)?\.com$/i, include: '_spf.google.com', name: 'Google Workspace' },
+  { host: /office365\.com$|outlook\.com$|hotmail\.com$|live\.com$/i, include: 'spf.protection.outlook.com', name: 'Microsoft 365' },
+  { host: /zoho\.(com|eu|in)$/i, include: 'zoho.com', name: 'Zoho Mail' },
+  { host: /sendgrid\.net$/i, include: 'sendgrid.net', name: 'SendGrid' },
+  { host: /mailgun\.org$/i, include: 'mailgun.org', name: 'Mailgun' },
+  { host: /amazonaws\.com$/i, include: 'amazonses.com', name: 'Amazon SES' },
+  { host: /postmarkapp\.com$/i, include: 'spf.mtasv.net', name: 'Postmark' },
+  { host: /brevo\.com$|sendinblue\.com$/i, include: 'spf.brevo.com', name: 'Brevo' },
+  { host: /mailjet\.com$/i, include: 'spf.mailjet.com', name: 'Mailjet' },
+  { host: /fastmail\.com$|messagingengine\.com$/i, include: 'spf.messagingengine.com', name: 'Fastmail' },
+  { host: /yahoo\.com$/i, include: '_spf.mail.yahoo.com', name: 'Yahoo Mail' },
+];
+
+// Selectors used by common providers; custom ones can be passed in
+export const COMMON_DKIM_SELECTORS = [
+  'google', 'selector1', 'selector2', 'default', 'k1', 'k2', 's1', 's2', 'dkim',
+  'mail', 'smtp', 'zoho', 'zmail', 'mandrill', 'pm', 'mxvault', 'sig1',
+];
+
+// Consumer mailboxes: DNS is managed by the provider, not the sender
+export const FREEMAIL_DOMAINS = [
+  'gmail.com', 'googlemail.com', 'outlook.com', 'hotmail.com', 'live.com', 'yahoo.com',
+  'icloud.com', 'me.com', 'aol.com', 'proton.me', 'protonmail.com', 'zoho.com', 'gmx.com',
+];
+
+const MAX_SPF_LOOKUPS = 10;
+
+async function getTxtRecords(resolver, name) {
+  try {
+    const records = await resolver.resolveTxt(name);
+    return records.map(chunks => chunks.join(''));
+  } catch (err) {
+    if (isNotFoundError(err)) return [];
+    throw err;
+  }
+}
+
+async function getAddresses(resolver, host) {
+  try {
+    return await resolver.resolve4(host);
+  } catch (err) {
+    if (isNotFoundError(err)) return [];
+    throw err;
+  }
+}
+
+function ipToInt(ip) {
+  const parts = ip.split('.').map(Number);
+  if (parts.length !== 4 || parts.some(part => !(part >= 0 && part <= 255))) return null;
+  return ((parts[0] << 24) >>> 0) + (parts[1] << 16) + (parts[2] << 8) + parts[3];
+}
+
+export function ipInCidr(ip, cidr) {
+  const [range, bitsText] = cidr.split('/');
+  const bits = bitsText === undefined ? 32 : Number(bitsText);
+  const ipValue = ipToInt(ip);
+  const rangeValue = ipToInt(range);
+  if (ipValue === null || rangeValue === null || !(bits >= 0 && bits <= 32)) return false;
+  const mask = bits === 0 ? 0 : (~0 << (32 - bits)) >>> 0;
+  return (ipValue & mask) === (rangeValue & mask);
+}
+
+/**
+ * Follow an SPF record's include/redirect chain (up to the RFC 7208 limit of
+ * 10 DNS lookups) and collect what it authorises.
+ */
+async function expandSpf(resolver, domain, record) {
+  const state = { includes: new Set(), ip4: [], aHosts: [], mxDomains: [], lookups: 0, errors: [] };
+
+  async function walk(currentDomain, currentRecord, depth) {
+    const terms = currentRecord.split(/\s+/).slice(1);
+    for (const term of terms) {
+      const mechanism = term.replace(/^[+?~-]/, '');
+      const [name, rawValue] = mechanism.split(/[:=]/, 2);
+      const value = rawValue?.split('/')[0];
+      const lower = name.toLowerCase();
+
+      if (lower === 'ip4' && rawValue) {
+        state.ip4.push(rawValue);
+      } else if (lower === 'a') {
+        state.lookups++;
+        state.aHosts.push(value || currentDomain);
+      } else if (lower === 'mx') {
+        state.lookups++;
+        state.mxDomains.push(value || currentDomain);
+      } else if ((lower === 'include' || lower === 'redirect') && value) {
+        state.lookups++;
+        state.includes.add(value.toLowerCase());
+        if (state.lookups > MAX_SPF_LOOKUPS || depth >= 5) continue;
+        const nested = (await getTxtRecords(resolver, value)).find(txt => /^v=spf1(\s|$)/i.test(txt));
+        if (nested) {
+          await walk(value, nested, depth + 1);
+        } else {
+          state.errors.push(`${lower}:${value} has no SPF record`);
+        }
+      } else if (['exists', 'ptr'].includes(lower)) {
+        state.lookups++;
+      }
+    }
+  }
+
+  await walk(domain, record, 0);
+  return state;
+}
+
+/**
+ * Is the SMTP host plausibly authorised by the expanded SPF record?
+ * Returns a short explanation, or null when it does not appear to be.
+ */
+async function findSpfCoverage(resolver, spf, smtpHost, provider) {
+  if (provider && spf.includes.has(provider.include)) {
+    return `include:${provider.include} covers ${provider.name}`;
+  }
+
+  const smtpIps = await getAddresses(resolver, smtpHost);
+  const ipMatch = smtpIps.find(ip => spf.ip4.some(cidr => ipInCidr(ip, cidr)));
+  if (ipMatch) return `${smtpHost} (${ipMatch}) is in an ip4 range`;
+
+  for (const host of spf.aHosts) {
+    const ips = await getAddresses(resolver, host);
+    if (ips.some(ip => smtpIps.includes(ip))) return `a:${host} resolves to ${smtpHost}`;
+  }
+
+  for (const mxDomain of spf.mxDomains) {
+    let mxHosts = [];
+    try {
+      mxHosts = (await resolver.resolveMx(mxDomain)).map(record => record.exchange).slice(0, 5);
+    } catch (err) {
+      if (!isNotFoundError(err)) throw err;
+    }
+    if (mxHosts.some(host => host.toLowerCase() === smtpHost.toLowerCase())) {
+      return `mx of ${mxDomain} includes ${smtpHost}`;
+    }
+    for (const host of mxHosts) {
+      const ips = await getAddresses(resolver, host);
+      if (ips.some(ip => smtpIps.includes(ip))) return `mx:${mxDomain} resolves to ${smtpHost}`;
+    }
+  }
+
+  return null;
+}
+
+async function checkSpf(resolver, domain, smtpHost) {
+  const records = (await getTxtRecords(resolver, domain)).filter(txt => /^v=spf1(\s|$)/i.test(txt));
+  const provider = smtpHost && PROVIDER_SPF_INCLUDES.find(entry => entry.host.test(smtpHost));
+
+  if (records.length === 0) {
+    const include = provider ? `include:${provider.include} ` : '';
+    return {
+      status: CHECK_STATUS.FAIL,
+      record: null,
+      message: 'No SPF record found',
+      fixes: [`Publish a TXT record on ${domain}: "v=spf1 ${include}~all"`],
+    };
+  }
+  if (records.length > 1) {
+    return {
+      status: CHECK_STATUS.FAIL,
+      record: records,
+      message: 'Multiple SPF records found (receivers treat this as a permanent error)',
+      fixes: ['Merge all SPF records into a single v=spf1 TXT record'],
+    };
+  }
+
+  const [record] = records;
+  const fixes = [];
+  let status = CHECK_STATUS.PASS;
+  const notes = [];
+
+  const allTerm = record.split(/\s+/).find(term => /^[+?~-]?all$/i.test(term));
+  if (!allTerm) {
+    status = CHECK_STATUS.WARN;
+    notes.push('no "all" mechanism');
+    fixes.push('End the SPF record with "~all" (or "-all" once everything is covered)');
+  } else if (/^\+?all$/i.test(allTerm)) {
+    status = CHECK_STATUS.FAIL;
+    notes.push('"+all" lets anyone send as this domain');
+    fixes.push('Replace "+all" with "~all" or "-all"');
+  } else if (allTerm.startsWith('?')) {
+    status = CHECK_STATUS.WARN;
+    notes.push('"?all" is neutral and gives no protection');
+    fixes.push('Use "~all" or "-all" instead of "?all"');
+  }
+
+  const spf = await expandSpf(resolver, domain, record);
+  if (spf.lookups > MAX_SPF_LOOKUPS) {
+    status = CHECK_STATUS.FAIL;
+    notes.push(`${spf.lookups} DNS lookups (limit is ${MAX_SPF_LOOKUPS})`);
+    fixes.push('Reduce include/a/mx mechanisms or flatten them into ip4 ranges to stay under 10 lookups');
+  }
+  notes.push(...spf.errors);
+
+  let coverage = null;
+  if (smtpHost) {
+    coverage = await findSpfCoverage(resolver, spf, smtpHost, provider);
+    if (!coverage) {
+      if (status === CHECK_STATUS.PASS) status = CHECK_STATUS.WARN;
+      notes.push(`does not appear to authorise ${smtpHost}`);
+      fixes.push(provider
+        ? `Add "include:${provider.include}" to the SPF record for ${provider.name}`
+        : `Add your SMTP provider's include (or ip4 ranges for ${smtpHost}) to the SPF record`);
+    }
+  }
+
+  return {
+    status,
+    record,
+    coverage,
+    lookups: spf.lookups,
+    message: notes.length ? `SPF record found, but ${notes.join('; ')}` : 'SPF record found and covers the SMTP host',
+    fixes,
+  };
+}
+
+async function checkDmarc(resolver, domain) {
+  const records = (await getTxtRecords(resolver, `_dmarc.${domain}`)).filter(txt => /^v=DMARC1/i.test(txt));
+  const suggested = `v=DMARC1; p=none; rua=mailto:dmarc-reports@${domain}`;
+
+  if (records.length === 0) {
+    return {
+      status: CHECK_STATUS.FAIL,
+      record: null,
+      policy: null,
+      message: 'No DMARC record found (Gmail and Yahoo require one for bulk senders)',
+      fixes: [`Publish a TXT record on _dmarc.${domain}: "${suggested}"`],
+    };
+  }
+  if (records.length > 1) {
+    return {
+      status: CHECK_STATUS.FAIL,
+      record: records,
+      policy: null,
+      message: 'Multiple DMARC records found; receivers will ignore them',
+      fixes: [`Keep a single TXT record on _dmarc.${domain}`],
+    };
+  }
+
+  const [record] = records;
+  const tags = Object.fromEntries(record.split(';')
+    .map(part => part.trim().split('='))
+    .filter(([key, value]) => key && value !== undefined)
+    .map(([key, value]) => [key.toLowerCase(), value.trim()]));
+  const policy = (tags.p || '').toLowerCase();
+  const fixes = [];
+
+  if (!['none', 'quarantine', 'reject'].includes(policy)) {
+    return {
+      status: CHECK_STATUS.FAIL,
+      record,
+      policy: null,
+      message: 'DMARC record has no valid p= policy',
+      fixes: [`Replace it with "${suggested}"`],
+    };
+  }
+  if (!tags.rua) fixes.push('Add rua=mailto:... to receive aggregate reports');
+  if (policy === 'none') {
+    fixes.push('Move to p=quarantine once reports show your mail passes SPF/DKIM alignment');
+    return { status: CHECK_STATUS.WARN, record, policy, message: 'DMARC is monitoring only (p=none)', fixes };
+  }
+
+  return {
+    status: fixes.length ? CHECK_STATUS.WARN : CHECK_STATUS.PASS,
+    record,
+    policy,
+    message: `DMARC policy is ${policy}`,
+    fixes,
+  };
+}
+
+async function checkDkim(resolver, domain, selectors) {
+  const found = [];
+  const revoked = [];
+
+  await Promise.all(selectors.map(async (selector) => {
+    let records = [];
+    try {
+      records = await getTxtRecords(resolver, `${selector}._domainkey.${domain}`);
+    } catch {
+      return; // Treat lookup errors on a probe as "not found"
+    }
+    const key = records.find(txt => /(^|;)\s*(v=DKIM1|k=rsa|k=ed25519|p=)/i.test(txt));
+    if (!key) return;
+    if (/(^|;)\s*p=\s*(;|$)/i.test(key)) {
+      revoked.push(selector);
+    } else {
+      found.push(selector);
+    }
+  }));
+
+  if (found.length > 0) {
+    return { status: CHECK_STATUS.PASS, selectors: found, message: `DKIM key found for selector(s): ${found.join(', ')}`, fixes: [] };
+  }
+  return {
+    status: CHECK_STATUS.WARN,
+    selectors: [],
+    revoked,
+    message: revoked.length
+      ? `Only revoked DKIM keys found (${revoked.join(', ')})`
+      : `No DKIM key found for the ${selectors.length} selectors probed`,
+    fixes: [
+      `Enable DKIM signing at your mail provider and publish the TXT record it gives you at <selector>._domainkey.${domain}`,
+      'If you already sign with a custom selector, pass it in dkimSelectors to check it',
+    ],
+  };
+}
+
+function gradeReport(checks) {
+  const points = { pass: 2, warn: 1, fail: 0 };
+  const score = Object.values(checks).reduce((sum, check) => sum + points[check.status], 0);
+  if (score === 6) return 'A';
+  if (score === 5) return 'B';
+  if (score === 4) return 'C';
+  if (score === 3) return 'D';
+  return 'F';
+}
+
+/**
+ * Run SPF, DKIM and DMARC checks for the sender's domain.
+ * Returns { domain, smtpHost, grade, freemail, checks: { spf, dkim, dmarc }, fixes }
+ */
+export async function runSenderPreflight({ emailUser, smtpHost, dkimSelectors = [] }, { resolver = getDnsResolver() } = {}) {
+  const domain = getEmailDomain(emailUser);
+  const selectors = [...new Set([...dkimSelectors.map(s => String(s).trim().toLowerCase()).filter(Boolean), ...COMMON_DKIM_SELECTORS])];
+
+  const [spf, dkim, dmarc] = await Promise.all([
+    checkSpf(resolver, domain, smtpHost),
+    checkDkim(resolver, domain, selectors),
+    checkDmarc(resolver, domain),
+  ]);
+
+  const checks = { spf, dkim, dmarc };
+  const freemail = FREEMAIL_DOMAINS.includes(domain);
+
+  return {
+    domain,
+    smtpHost: smtpHost || null,
+    grade: gradeReport(checks),
+    freemail,
+    ...(freemail && {
+      note: `${domain} is a consumer mailbox: its DNS is managed by the provider and it is not suited to cold outreach volume. Use your own domain to control authentication.`,
+    }),
+    checks,
+    fixes: Object.values(checks).flatMap(check => check.fixes),
+  };
+}
@@ -0,0 +1,151 @@
+/**
+ * Sending Windows
+ * Campaign-level "only send Mon-Fri 09:00-17:00 in America/New_York" rules.
+ * Uses Intl for timezone math so no date library is needed.
+ */
+
+export const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Intl.DateTimeFormat construction is slow, so keep one per timezone
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+export function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function parseTime(value) {
+  const [, hours, minutes] = value.match(TIME_PATTERN);
+  return Number(hours) * 60 + Number(minutes);
+}
+
+/**
+ * Wall-clock parts of a date in the given timezone
+ */
+export function getZonedParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    parts[type] = value;
+  }
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: parts.weekday.toLowerCase(),
+  };
+}
+
+function getTimeZoneOffsetMs(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// Convert a local wall-clock time in a timezone to a UTC Date (DST aware)
+function zonedTimeToUtc(year, month, day, minutesOfDay, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, 0, minutesOfDay);
+  const offset = getTimeZoneOffsetMs(new Date(guess), timeZone);
+  const corrected = getTimeZoneOffsetMs(new Date(guess - offset), timeZone);
+  return new Date(guess - corrected);
+}
+
+/**
+ * Validate a sending window from a request body.
+ * Returns an error message, or null when valid.
+ */
+export function validateSendingWindow(window) {
+  if (!window || typeof window !== 'object') return 'Sending window must be an object';
+  if (!Array.isArray(window.days) || window.days.length === 0) {
+    return 'Sending window needs at least one day';
+  }
+  const invalidDay = window.days.find(day => !WEEKDAYS.includes(String(day).toLowerCase()));
+  if (invalidDay !== undefined) return `Invalid sending window day: ${invalidDay}`;
+  if (!TIME_PATTERN.test(window.start || '') || !TIME_PATTERN.test(window.end || '')) {
+    return 'Sending window start and end must be HH:MM';
+  }
+  if (parseTime(window.start) >= parseTime(window.end)) {
+    return 'Sending window start must be before its end';
+  }
+  if (!isValidTimeZone(window.timezone)) return 'Sending window timezone must be a valid IANA timezone';
+  return null;
+}
+
+/**
+ * Normalise a validated sending window for storage
+ */
+export function normalizeSendingWindow(window) {
+  if (!window) return null;
+  return {
+    days: [...new Set(window.days.map(day => String(day).toLowerCase()))],
+    start: window.start,
+    end: window.end,
+    timezone: window.timezone,
+  };
+}
+
+/**
+ * Is the date inside the window? timeZone overrides the window's own timezone.
+ * A missing window means "always open".
+ */
+export function isWithinWindow(window, date = new Date(), timeZone = window?.timezone) {
+  if (!window) return true;
+  const parts = getZonedParts(date, timeZone);
+  const minutes = parts.hour * 60 + parts.minute;
+  return window.days.includes(parts.weekday)
+    && minutes >= parseTime(window.start)
+    && minutes < parseTime(window.end);
+}
+
+/**
+ * Earliest time at or after `from` when sending is allowed.
+ * Returns `from` itself when the window is open (or there is no window).
+ */
+export function getNextWindowStart(window, from = new Date(), timeZone = window?.timezone) {
+  if (!window) return from;
+  const startMinutes = parseTime(window.start);
+  const endMinutes = parseTime(window.end);
+  const today = getZonedParts(from, timeZone);
+
+  // Check today and the following week, in the window's local calendar
+  for (let offset = 0; offset <= 7; offset++) {
+    const local = new Date(Date.UTC(today.year, today.month - 1, today.day) + offset * DAY_MS);
+    const weekday = WEEKDAYS[(local.getUTCDay() + 6) % 7];
+    if (!window.days.includes(weekday)) continue;
+
+    const [year, month, day] = [local.getUTCFullYear(), local.getUTCMonth() + 1, local.getUTCDate()];
+    const opensAt = zonedTimeToUtc(year, month, day, startMinutes, timeZone);
+    const closesAt = zonedTimeToUtc(year, month, day, endMinutes, timeZone);
+    if (from < closesAt) {
+      return from > opensAt ? from : opensAt;
+    }
+  }
+  return null;
+}
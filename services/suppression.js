@@ -0,0 +1,82 @@
+/**
+ * Suppression List
+ * Unsubscribed and bounced addresses that must never be mailed again
+ */
+
+import { supabase } from '../services/supabase.js';
+import { hashEmail } from '../services/helpers.js';
+
+export const SUPPRESSION_REASONS = {
+  unsubscribed: 'Recipient unsubscribed',
+  bounced: 'Recipient previously bounced',
+};
+
+// Keep .in() filters well below PostgREST URL length limits
+const LOOKUP_CHUNK_SIZE = 200;
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Look up which of the given addresses are suppressed for a user.
+ * Both tables key on hashEmail(email); bounced_emails may also hold
+ * older rows with the plain address, so both forms are matched there.
+ *
+ * Returns a Map of lowercased email -> suppression reason
+ */
+export async function getSuppressedEmails(userId, emails) {
+  const suppressed = new Map();
+  if (!supabase || !emails?.length) return suppressed;
+
+  const byKey = new Map();
+  for (const email of emails) {
+    if (!email) continue;
+    const normalized = String(email).toLowerCase().trim();
+    byKey.set(hashEmail(normalized), normalized);
+    byKey.set(normalized, normalized);
+  }
+  const hashes = [...byKey.keys()].filter(key => !key.includes('@'));
+
+  for (const hashChunk of chunk(hashes, LOOKUP_CHUNK_SIZE)) {
+    const { data, error } = await supabase
+      .from('unsubscribed_emails')
+      .select('email')
+      .eq('user_id', userId)
+      .in('email', hashChunk);
+    if (error) throw error;
+    for (const row of data || []) {
+      suppressed.set(byKey.get(row.email), SUPPRESSION_REASONS.unsubscribed);
+    }
+  }
+
+  for (const keyChunk of chunk([...byKey.keys()], LOOKUP_CHUNK_SIZE)) {
+    const { data, error } = await supabase
+      .from('bounced_emails')
+      .select('email')
+      .eq('user_id', userId)
+      .in('email', keyChunk);
+    if (error) throw error;
+    for (const row of data || []) {
+      const email = byKey.get(row.email);
+      if (!suppressed.has(email)) {
+        suppressed.set(email, SUPPRESSION_REASONS.bounced);
+      }
+    }
+  }
+
+  return suppressed;
+}
+
+/**
+ * Check a single address right before sending.
+ * Returns the suppression reason, or null when it is safe to send.
+ */
+export async function getSuppressionReason(userId, email) {
+  const suppressed = await getSuppressedEmails(userId, [email]);
+  return suppressed.get(String(email).toLowerCase().trim()) || null;
+}
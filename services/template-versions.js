@@ -0,0 +1,55 @@
+/**
+ * Campaign Template Versions
+ * Every template a campaign has used (subject, body and follow-up steps) is
+ * kept as a numbered version. campaigns.template_version points at the one
+ * in use, and each sent campaign_emails row records the version it went out with.
+ */
+
+import { supabase } from '../services/supabase.js';
+
+/**
+ * Store the campaign's current template as its current version.
+ * Safe to call repeatedly: an existing version is never overwritten.
+ */
+export async function saveTemplateVersion(campaign) {
+  const { error } = await supabase
+    .from('campaign_template_versions')
+    .upsert({
+      campaign_id: campaign.id,
+      version: campaign.template_version || 1,
+      subject: campaign.template_subject,
+      body: campaign.template_body,
+      sequence_steps: campaign.sequence_steps || [],
+    }, { onConflict: 'campaign_id,version', ignoreDuplicates: true });
+  if (error) throw error;
+}
+
+/**
+ * All versions of a campaign's template, oldest first, with how many emails
+ * were sent with each
+ */
+export async function getTemplateVersions(campaignId) {
+  const { data, error } = await supabase
+    .from('campaign_template_versions')
+    .select('version, subject, body, sequence_steps, created_at')
+    .eq('campaign_id', campaignId)
+    .order('version');
+  if (error) throw error;
+
+  return Promise.all((data || []).map(async row => {
+    const { count } = await supabase
+      .from('campaign_emails')
+      .select('id', { count: 'exact', head: true })
+      .eq('campaign_id', campaignId)
+      .eq('template_version', row.version)
+      .eq('status', 'sent');
+    return {
+      version: row.version,
+      subject: row.subject,
+      body: row.body,
+      followUps: row.sequence_steps || [],
+      sent: count || 0,
+      createdAt: row.created_at,
+    };
+  }));
+}
@@ -0,0 +1,167 @@
+/**
+ * Open & Click Tracking
+ * Per-recipient pixel and link rewriting built on the signed tracking IDs,
+ * plus storage and reporting of email_events.
+ */
+
+import { supabase } from '../services/supabase.js';
+import { signTrackedUrl } from '../services/helpers.js';
+import { classifyTrackingEvent, BOT_THRESHOLDS } from '../services/event-classifier.js';
+import { CONFIG } from '../config/index.js';
+
+export const EVENT_TYPES = {
+  OPEN: 'open',
+  CLICK: 'click',
+};
+
+// Transparent 1x1 GIF
+export const TRACKING_PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+export function buildOpenPixelUrl(trackingId) {
+  return `${CONFIG.backendUrl}/api/track/open/${trackingId}.gif`;
+}
+
+export function buildClickUrl(trackingId, url) {
+  const signature = signTrackedUrl(trackingId, url);
+  return `${CONFIG.backendUrl}/api/track/click/${trackingId}?url=${encodeURIComponent(url)}&sig=${signature}`;
+}
+
+/**
+ * Point every http(s) link in the HTML at the click-tracking redirect.
+ * Unsubscribe links are left alone so opting out never depends on tracking.
+ */
+export function rewriteLinks(html, trackingId) {
+  return html.replace(/(<a\b[^>]*?\bhref\s*=\s*)(["'])(https?:\/\/[^"']+)\2/gi, (match, prefix, quote, href) => {
+    if (href.includes('/api/unsubscribe/')) return match;
+    const url = href.replace(/&amp;/g, '&');
+    return `${prefix}${quote}${buildClickUrl(trackingId, url)}${quote}`;
+  });
+}
+
+export function buildOpenPixel(trackingId) {
+  return `<img src="${buildOpenPixelUrl(trackingId)}" width="1" height="1" alt="" style="display:none;border:0;" />`;
+}
+
+/**
+ * Store an open or click from a verified tracking ID.
+ * Each event is classified as human or machine (scanner, proxy prefetch, ...).
+ * The first event of each type per recipient is flagged, and separately the
+ * first human one, so raw and human unique counts stay cheap to query.
+ */
+export async function recordEmailEvent(trackingInfo, eventType, details = {}) {
+  if (!supabase || !trackingInfo) return null;
+
+  const now = Date.now();
+  const secondsSinceSend = trackingInfo.timestamp
+    ? Math.max(0, Math.round((now - trackingInfo.timestamp) / 1000))
+    : null;
+
+  const { data: previous } = await supabase
+    .from('email_events')
+    .select('id, url, is_bot, created_at')
+    .eq('campaign_id', trackingInfo.campaignId)
+    .eq('email_hash', trackingInfo.emailHash)
+    .eq('event_type', eventType)
+    .order('created_at', { ascending: false })
+    .limit(50);
+
+  const previousEvents = previous || [];
+  const recentClicks = eventType === EVENT_TYPES.CLICK
+    ? previousEvents.filter(event => now - new Date(event.created_at).getTime() <= BOT_THRESHOLDS.SAME_INSTANT_WINDOW_MS)
+    : [];
+
+  const classification = classifyTrackingEvent({
+    eventType,
+    userAgent: details.userAgent,
+    ip: details.ip,
+    secondsSinceSend,
+    url: details.url,
+    recentClicks,
+  });
+
+  const { data, error } = await supabase
+    .from('email_events')
+    .insert({
+      user_id: trackingInfo.userId,
+      campaign_id: trackingInfo.campaignId,
+      email_hash: trackingInfo.emailHash,
+      event_type: eventType,
+      url: details.url || null,
+      user_agent: details.userAgent ? String(details.userAgent).slice(0, 500) : null,
+      ip_address: details.ip || null,
+      seconds_since_send: secondsSinceSend,
+      is_bot: classification.isBot,
+      bot_reason: classification.reasons.join(',') || null,
+      is_unique: previousEvents.length === 0,
+      is_unique_human: !classification.isBot && !previousEvents.some(event => !event.is_bot),
+    })
+    .select('id')
+    .single();
+
+  if (error) {
+    console.error('Tracking event save error:', error.message);
+    return null;
+  }
+
+  // The first link of a scanner burst looked human on its own
+  if (classification.reasons.includes('multiple_links_same_instant')) {
+    const burstIds = recentClicks.filter(event => !event.is_bot).map(event => event.id);
+    if (burstIds.length > 0) {
+      await supabase
+        .from('email_events')
+        .update({ is_bot: true, bot_reason: 'multiple_links_same_instant', is_unique_human: false })
+        .in('id', burstIds);
+    }
+  }
+
+  return { ...data, isBot: classification.isBot, reasons: classification.reasons };
+}
+
+async function countEvents(campaignId, eventType, filters = {}) {
+  let query = supabase
+    .from('email_events')
+    .select('id', { count: 'exact', head: true })
+    .eq('campaign_id', campaignId)
+    .eq('event_type', eventType);
+  for (const [column, value] of Object.entries(filters)) {
+    query = query.eq(column, value);
+  }
+  const { count } = await query;
+  return count || 0;
+}
+
+/**
+ * Open/click totals and unique rates for a campaign, both raw and with
+ * machine-generated events (scanners, prefetch) filtered out
+ */
+export async function getCampaignEngagement(campaignId, sentCount) {
+  const [
+    opens, uniqueOpens, humanOpens, uniqueHumanOpens,
+    clicks, uniqueClicks, humanClicks, uniqueHumanClicks,
+  ] = await Promise.all([
+    countEvents(campaignId, EVENT_TYPES.OPEN),
+    countEvents(campaignId, EVENT_TYPES.OPEN, { is_unique: true }),
+    countEvents(campaignId, EVENT_TYPES.OPEN, { is_bot: false }),
+    countEvents(campaignId, EVENT_TYPES.OPEN, { is_unique_human: true }),
+    countEvents(campaignId, EVENT_TYPES.CLICK),
+    countEvents(campaignId, EVENT_TYPES.CLICK, { is_unique: true }),
+    countEvents(campaignId, EVENT_TYPES.CLICK, { is_bot: false }),
+    countEvents(campaignId, EVENT_TYPES.CLICK, { is_unique_human: true }),
+  ]);
+  const rate = (value) => (sentCount > 0 ? Math.round(value / sentCount * 1000) / 10 : 0);
+
+  return {
+    opens,
+    uniqueOpens,
+    humanOpens,
+    uniqueHumanOpens,
+    clicks,
+    uniqueClicks,
+    humanClicks,
+    uniqueHumanClicks,
+    openRate: rate(uniqueOpens),
+    clickRate: rate(uniqueClicks),
+    humanOpenRate: rate(uniqueHumanOpens),
+    humanClickRate: rate(uniqueHumanClicks),
+  };
+}
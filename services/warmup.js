@@ -0,0 +1,121 @@
+/**
+ * Mailbox Warm-up
+ * A ramp plan per sender account: the mailbox may send `startVolume` emails on
+ * day 1, growing by `growthRate` percent a day until it reaches `target`.
+ * Days are UTC calendar days counted from `startDate`.
+ */
+
+export const WARMUP_LIMITS = {
+  MAX_START_VOLUME: 500,
+  // Slower ramps would take years to reach a target
+  MIN_GROWTH_RATE: 1,
+  MAX_GROWTH_RATE: 100,
+  MAX_TARGET: 10000,
+  // Longest schedule returned for planning
+  MAX_SCHEDULE_DAYS: 90,
+  // Plans saved before MIN_GROWTH_RATE existed may never finish in practice
+  MAX_RAMP_DAYS: 3650,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function startOfUtcDay(date) {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+}
+
+/**
+ * Start of the current UTC day, the window warm-up allowances apply to
+ */
+export function getWarmupDayStart(now = new Date()) {
+  return startOfUtcDay(now);
+}
+
+/**
+ * Validate a plan from the API and return it in stored form.
+ * Throws with a readable message when it is invalid.
+ */
+export function normalizeWarmupPlan(plan, now = new Date()) {
+  if (!plan || typeof plan !== 'object') throw new Error('Warm-up plan must be an object');
+
+  const startVolume = Number(plan.startVolume);
+  const growthRate = Number(plan.growthRate);
+  const target = Number(plan.target);
+
+  if (!Number.isInteger(startVolume) || startVolume < 1 || startVolume > WARMUP_LIMITS.MAX_START_VOLUME) {
+    throw new Error(`startVolume must be an integer between 1 and ${WARMUP_LIMITS.MAX_START_VOLUME}`);
+  }
+  if (!Number.isFinite(growthRate) || growthRate < WARMUP_LIMITS.MIN_GROWTH_RATE || growthRate > WARMUP_LIMITS.MAX_GROWTH_RATE) {
+    throw new Error(`growthRate must be a percentage between ${WARMUP_LIMITS.MIN_GROWTH_RATE} and ${WARMUP_LIMITS.MAX_GROWTH_RATE}`);
+  }
+  if (!Number.isInteger(target) || target < startVolume || target > WARMUP_LIMITS.MAX_TARGET) {
+    throw new Error(`target must be an integer between startVolume and ${WARMUP_LIMITS.MAX_TARGET}`);
+  }
+
+  const startDate = plan.startDate ? startOfUtcDay(plan.startDate) : startOfUtcDay(now);
+  if (Number.isNaN(startDate.getTime())) throw new Error('startDate must be a valid date');
+  if (startDate > startOfUtcDay(now)) throw new Error('startDate cannot be in the future');
+
+  return { startVolume, growthRate, target, startDate: startDate.toISOString().slice(0, 10) };
+}
+
+/**
+ * Daily allowance on a given ramp day (1-based)
+ */
+export function getAllowanceForDay(plan, day) {
+  const volume = Math.ceil(plan.startVolume * (1 + plan.growthRate / 100) ** Math.max(day - 1, 0));
+  return Math.min(volume, plan.target);
+}
+
+/**
+ * First ramp day whose allowance reaches the target, in closed form so plans
+ * saved with any growth rate stay cheap to evaluate. Null past MAX_RAMP_DAYS.
+ */
+function getTargetDay(plan) {
+  if (plan.startVolume >= plan.target) return 1;
+  // Volumes are rounded up, so day d reaches the target once startVolume * growth^(d-1) > target - 1
+  const ratio = (plan.target - 1) / plan.startVolume;
+  let day = ratio <= 1 ? 2 : Math.floor(Math.log(ratio) / Math.log(1 + plan.growthRate / 100)) + 2;
+  if (!Number.isFinite(day) || day > WARMUP_LIMITS.MAX_RAMP_DAYS) return null;
+  // Floating point can put the estimate a day off either way
+  if (day > 1 && getAllowanceForDay(plan, day - 1) >= plan.target) day--;
+  else if (getAllowanceForDay(plan, day) < plan.target) day++;
+  return day;
+}
+
+/**
+ * Where a plan stands today: { day, allowance, target, complete, completesOn }
+ * (completesOn is null when the ramp would take longer than MAX_RAMP_DAYS)
+ */
+export function getWarmupProgress(plan, now = new Date()) {
+  const start = startOfUtcDay(plan.startDate);
+  const day = Math.floor((startOfUtcDay(now) - start) / DAY_MS) + 1;
+  const allowance = getAllowanceForDay(plan, day);
+
+  const targetDay = getTargetDay(plan);
+
+  return {
+    day,
+    allowance,
+    target: plan.target,
+    complete: allowance >= plan.target,
+    completesOn: targetDay === null
+      ? null
+      : new Date(start.getTime() + (Math.max(day, targetDay) - 1) * DAY_MS).toISOString().slice(0, 10),
+  };
+}
+
+/**
+ * Day-by-day allowances from day 1 until the target (for planning campaign sizes)
+ */
+export function getWarmupSchedule(plan) {
+  const start = startOfUtcDay(plan.startDate);
+  const schedule = [];
+  for (let day = 1; day <= WARMUP_LIMITS.MAX_SCHEDULE_DAYS; day++) {
+    const allowance = getAllowanceForDay(plan, day);
+    schedule.push({ day, date: new Date(start.getTime() + (day - 1) * DAY_MS).toISOString().slice(0, 10), allowance });
+    if (allowance >= plan.target) break;
+  }
+  return schedule;
+}
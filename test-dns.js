@@ -0,0 +1,110 @@
+// Test recipient domain verification against a local stub DNS server
+import dgram from 'dgram';
+import { createDnsResolver } from './services/dns.js';
+import { checkDomain, DOMAIN_STATUS } from './services/domain-verification.js';
+
+const TYPES = { A: 1, MX: 15, AAAA: 28 };
+
+// Names the stub answers for; anything else is NXDOMAIN
+const ZONES = {
+  'mx.test': { MX: [[20, 'mx2.mx.test'], [10, 'mx1.mx.test']] },
+  'a-only.test': { A: ['192.0.2.10'] },
+  'null-mx.test': { MX: [[0, '']] },
+};
+
+const queries = [];
+
+function encodeName(name) {
+  const labels = name ? name.split('.') : [];
+  return Buffer.concat([...labels.map(label => Buffer.concat([Buffer.from([label.length]), Buffer.from(label)])), Buffer.from([0])]);
+}
+
+function encodeRecord(type, value) {
+  let rdata;
+  if (type === TYPES.A) rdata = Buffer.from(value.split('.').map(Number));
+  if (type === TYPES.MX) rdata = Buffer.concat([Buffer.from([value[0] >> 8, value[0] & 0xff]), encodeName(value[1])]);
+  const fixed = Buffer.alloc(12);
+  fixed.writeUInt16BE(0xc00c, 0); // pointer to the question name
+  fixed.writeUInt16BE(type, 2);
+  fixed.writeUInt16BE(1, 4); // IN
+  fixed.writeUInt32BE(60, 6);
+  fixed.writeUInt16BE(rdata.length, 10);
+  return Buffer.concat([fixed, rdata]);
+}
+
+function answer(query) {
+  const labels = [];
+  let offset = 12;
+  while (query[offset]) {
+    labels.push(query.subarray(offset + 1, offset + 1 + query[offset]).toString());
+    offset += query[offset] + 1;
+  }
+  const questionEnd = offset + 5;
+  const name = labels.join('.').toLowerCase();
+  const type = query.readUInt16BE(offset + 1);
+  queries.push(`${name}/${type}`);
+
+  const zone = ZONES[name];
+  const typeName = Object.keys(TYPES).find(key => TYPES[key] === type);
+  const records = (zone?.[typeName] || []).map(value => encodeRecord(type, value));
+
+  const header = Buffer.alloc(12);
+  query.copy(header, 0, 0, 2);
+  header.writeUInt16BE(0x8180 | (zone ? 0 : 3), 2); // response, recursion available, NXDOMAIN when unknown
+  header.writeUInt16BE(1, 4);
+  header.writeUInt16BE(records.length, 6);
+  return Buffer.concat([header, query.subarray(12, questionEnd), ...records]);
+}
+
+let failures = 0;
+function check(label, actual, expected) {
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    console.log(`✅ ${label}`);
+  } else {
+    failures++;
+    console.error(`❌ ${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+}
+
+async function testDomains(resolver) {
+  console.log('\nMX records');
+  const mx = await checkDomain('mx.test', { resolver });
+  check('valid', mx.status, DOMAIN_STATUS.VALID);
+  check('hosts by priority', mx.mx, ['mx1.mx.test', 'mx2.mx.test']);
+
+  console.log('\nA fallback');
+  const aOnly = await checkDomain('a-only.test', { resolver });
+  check('valid', aOnly.status, DOMAIN_STATUS.VALID);
+  check('falls back to A', aOnly.fallback, 'a');
+
+  console.log('\nNull MX');
+  check('invalid', (await checkDomain('null-mx.test', { resolver })).status, DOMAIN_STATUS.INVALID);
+
+  console.log('\nNXDOMAIN');
+  const missing = await checkDomain('missing.test', { resolver });
+  check('invalid', missing.status, DOMAIN_STATUS.INVALID);
+  check('reason', missing.reason, 'Domain does not exist');
+
+  console.log('\nCache');
+  const before = queries.length;
+  const cached = await checkDomain('MX.test', { resolver });
+  check('served from cache', cached.cached, true);
+  check('no new DNS query', queries.length, before);
+}
+
+const server = dgram.createSocket('udp4');
+server.on('message', (message, remote) => server.send(answer(message), remote.port, remote.address));
+await new Promise(resolve => server.bind(0, '127.0.0.1', resolve));
+
+try {
+  await testDomains(createDnsResolver({ servers: [`127.0.0.1:${server.address().port}`], timeout: 1000 }));
+} finally {
+  server.close();
+}
+
+if (failures) {
+  console.error(`\n❌ ${failures} check(s) failed`);
+  process.exit(1);
+}
+console.log('\n✅ All DNS checks passed');
+process.exit(0);
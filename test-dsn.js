@@ -0,0 +1,76 @@
+// Test DSN parsing and SMTP response classification against saved bounce messages
+import fs from 'fs';
+import { parseDsn, classifySmtpResponse, BOUNCE_TYPES } from './services/bounce-monitor.js';
+
+const fixture = (name) => fs.readFileSync(new URL(`./fixtures/dsn/${name}`, import.meta.url), 'utf8');
+
+let failures = 0;
+function check(label, actual, expected) {
+  if (actual === expected) {
+    console.log(`✅ ${label}`);
+  } else {
+    failures++;
+    console.error(`❌ ${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+}
+
+function testHardBounce() {
+  console.log('\nHard bounce (5.1.1)');
+  const dsn = parseDsn(fixture('hard-bounce-5.1.1.eml'));
+  check('is a DSN', dsn !== null, true);
+  check('reporting MTA', dsn.reportingMta, 'mx.example.net');
+  check('original Message-ID', dsn.originalMessageId, '<hard-bounce-fixture@example.com>');
+  check('one recipient', dsn.recipients.length, 1);
+
+  const [recipient] = dsn.recipients;
+  check('recipient address', recipient.email, 'Nobody@example.org');
+  check('action', recipient.action, 'failed');
+  check('status', recipient.status, '5.1.1');
+  check('classified as hard', recipient.classification.type, BOUNCE_TYPES.HARD);
+  check('permanent', recipient.classification.permanent, true);
+  check('smtp code', recipient.classification.smtpCode, 550);
+}
+
+function testSoftBounce() {
+  console.log('\nSoft bounce (4.2.2)');
+  const dsn = parseDsn(fixture('soft-bounce-4.2.2.eml'));
+  check('is a DSN', dsn !== null, true);
+
+  const [recipient] = dsn.recipients;
+  check('recipient address', recipient.email, 'full@example.org');
+  check('action', recipient.action, 'delayed');
+  check('classified as soft', recipient.classification.type, BOUNCE_TYPES.SOFT);
+  check('not permanent', recipient.classification.permanent, false);
+}
+
+function testNotDsn() {
+  console.log('\nNot a DSN');
+  check('auto-reply is ignored', parseDsn(fixture('not-a-dsn.eml')), null);
+  check('empty message is ignored', parseDsn(''), null);
+}
+
+function testSmtpResponses() {
+  console.log('\nSMTP responses');
+  const cases = [
+    [{ responseCode: 550, response: '550 5.1.1 User unknown' }, BOUNCE_TYPES.HARD],
+    [{ responseCode: 550, response: '550 5.7.1 Message rejected due to spam content' }, BOUNCE_TYPES.BLOCK],
+    [{ responseCode: 552, response: '552 5.2.2 Mailbox full' }, BOUNCE_TYPES.SOFT],
+    [{ responseCode: 451, response: '451 4.7.1 Greylisted, try again later' }, BOUNCE_TYPES.SOFT],
+    [{ responseCode: 554, response: '554 Your IP is listed on a blocklist' }, BOUNCE_TYPES.BLOCK],
+    [{ response: 'Host not found: 5.4.4 unable to route' }, BOUNCE_TYPES.HARD],
+  ];
+  for (const [input, expected] of cases) {
+    check(input.response, classifySmtpResponse(input).type, expected);
+  }
+}
+
+testHardBounce();
+testSoftBounce();
+testNotDsn();
+testSmtpResponses();
+
+if (failures) {
+  console.error(`\n❌ ${failures} check(s) failed`);
+  process.exit(1);
+}
+console.log('\n✅ All DSN checks passed');